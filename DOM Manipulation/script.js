@@ -77,6 +77,27 @@ class Router {
     }
 }
 
+// Phone rules are keyed by the server form's country names
+const PHONE_COUNTRY_NAMES = {
+    'United States': 'USA',
+    'United Kingdom': 'UK'
+};
+
+function phoneCountry(country) {
+    return PHONE_COUNTRY_NAMES[country] || country;
+}
+
+// Messages for the error codes of PhoneNumber.parse
+const PHONE_ERRORS = {
+    invalidCharacters: () => 'Phone number may only contain digits, spaces, dashes, dots, parentheses and a leading +.',
+    countryCodeRequired: () => 'Include the country code for your phone number (e.g. +33 1 23 45 67 89).',
+    countryMismatch: ({ code }) => `Phone numbers for the selected country start with ${code}.`,
+    tooShort: () => 'Phone number is too short for the selected country.',
+    tooLong: () => 'Phone number is too long for the selected country.',
+    invalidAreaCode: () => 'Phone number has an invalid area code.',
+    invalid: () => 'Phone number is not a valid number for the selected country.'
+};
+
 // Form Validation Class
 class FormValidator {
     constructor(formId) {
@@ -118,10 +139,14 @@ class FormValidator {
                 }
                 break;
             case 'phone':
-                if (!this.isValidPhone(value)) {
-                    error = 'Please enter a valid phone number (10-15 digits).';
-                }
+                error = this.validatePhone(value);
                 break;
+            case 'country': {
+                // The phone rules depend on the country
+                const phone = document.getElementById('phone');
+                if (phone.value.trim()) this.validateField(phone);
+                break;
+            }
         }
 
         this.errors[name] = error;
@@ -161,11 +186,10 @@ class FormValidator {
         return emailRegex.test(email);
     }
 
-    isValidPhone(phone) {
-        // More flexible phone validation - accepts various formats
-        const phoneRegex = /^[\+]?[\d\s\-\(\)]{10,15}$/;
-        const digitsOnly = phone.replace(/[\s\-\(\)]/g, '');
-        return phoneRegex.test(phone) && digitsOnly.length >= 10 && digitsOnly.length <= 15;
+    // Same numbering rules as the server (server-side-validation/public/phone.js)
+    validatePhone(phone) {
+        const result = PhoneNumber.parse(phone, phoneCountry(document.getElementById('country').value));
+        return result.e164 ? '' : PHONE_ERRORS[result.error](result.params || {});
     }
 
     displayFieldError(field, error) {
@@ -199,6 +223,7 @@ class FormValidator {
         try {
             const formData = new FormData(this.form);
             const user = Object.fromEntries(formData);
+            user.phone = PhoneNumber.toE164(user.phone, phoneCountry(user.country));
             const editId = this.form.dataset.editId;
 
             if (editId) {
@@ -448,7 +473,7 @@ const pages = {
             </div>
             <div class="form-group">
                 <label for="phone">Phone Number:</label>
-                <input type="tel" id="phone" name="phone" placeholder="+1 (555) 123-4567" required>
+                <input type="tel" id="phone" name="phone" placeholder="+1 (202) 555-0143" required>
                 <div class="error"></div>
             </div>
             <div class="form-group">
@@ -1,11 +1,20 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+// Same logger, metrics registry and middleware as the form server
+const { createLogger, Registry, createMetrics, requestLogger, healthCheck } = require('../server-side-validation/observability');
 
 const app = express();
-const PORT = 3000;
+const PORT = process.env.PORT || 3000;
+
+// Structured logs and Prometheus metrics
+const log = createLogger();
+const metrics = createMetrics();
+const validationFailures = metrics.counter('task_validation_failures_total',
+  'Task fields rejected by validation, by field', ['field']);
 
 // Middleware
+app.use(requestLogger({ log, metrics, quiet: ['/health', '/metrics'] }));
 app.use(cors());
 app.use(bodyParser.json());
 app.use(express.static('public'));
@@ -14,6 +23,41 @@ app.use(express.static('public'));
 let tasks = [];
 let nextId = 1;
 
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Check the task fields present in body; on create the title is required.
+// Returns { field: message } for each invalid field (empty when valid)
+function validateTask(body, { create = false } = {}) {
+  const errors = {};
+  const { title, description, priority, dueDate, completed } = body;
+  if (create || title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) errors.title = 'Title is required';
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    errors.description = 'Description must be text';
+  }
+  if (priority !== undefined && !PRIORITIES.includes(priority)) {
+    errors.priority = `Priority must be one of ${PRIORITIES.join(', ')}`;
+  }
+  if (dueDate !== undefined && dueDate !== null && (typeof dueDate !== 'string' || isNaN(Date.parse(dueDate)))) {
+    errors.dueDate = 'Due date must be a date';
+  }
+  if (completed !== undefined && typeof completed !== 'boolean') {
+    errors.completed = 'Completed must be true or false';
+  }
+  return errors;
+}
+
+// 400 with the first message as `error` and every message in `errors`;
+// each rejected field is counted in task_validation_failures_total
+function rejectInvalid(res, errors) {
+  const fields = Object.keys(errors);
+  if (!fields.length) return false;
+  fields.forEach(field => validationFailures.inc({ field }));
+  res.status(400).json({ error: errors[fields[0]], errors });
+  return true;
+}
+
 // Routes
 // GET /tasks - Get all tasks
 app.get('/tasks', (req, res) => {
@@ -22,10 +66,8 @@ app.get('/tasks', (req, res) => {
 
 // POST /tasks - Create a new task
 app.post('/tasks', (req, res) => {
+  if (rejectInvalid(res, validateTask(req.body, { create: true }))) return;
   const { title, description = '', priority = 'medium', dueDate = null, completed = false } = req.body;
-  if (!title) {
-    return res.status(400).json({ error: 'Title is required' });
-  }
   const newTask = {
     id: nextId++,
     title,
@@ -47,6 +89,7 @@ app.put('/tasks/:id', (req, res) => {
   if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
+  if (rejectInvalid(res, validateTask(req.body))) return;
   if (title !== undefined) task.title = title;
   if (description !== undefined) task.description = description;
   if (priority !== undefined) task.priority = priority;
@@ -66,6 +109,27 @@ app.delete('/tasks/:id', (req, res) => {
   res.status(204).send();
 });
 
+// GET /metrics - Prometheus metrics
+metrics.gauge('tasks', 'Tasks in the store', () => tasks.length);
+metrics.gauge('tasks_completed', 'Completed tasks in the store', () => tasks.filter(t => t.completed).length);
+
+app.get('/metrics', (req, res) => {
+  res.type(Registry.contentType).send(metrics.render());
+});
+
+// GET /health - Readiness check (tasks live in memory, so ready once listening)
+app.get('/health', healthCheck({}));
+
+// Errors: JSON log with the request ID; client errors (e.g. malformed JSON)
+// keep their status
+app.use((err, req, res, next) => {
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) {
+    log.error('Request failed', { requestId: req.id, err });
+  }
+  res.status(status).json({ error: status === 500 ? 'Internal server error' : err.message });
+});
+
 app.listen(PORT, () => {
-  console.log(`Professional Task Manager server running on http://localhost:${PORT}`);
+  log.info(`Professional Task Manager server running on http://localhost:${PORT}`, { port: PORT });
 });
\ No newline at end of file
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+// Smoke tests (npm test): server.js runs in a child process on a free port
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer() {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const stop = () => {
+    if (child.exitCode === null) child.kill();
+    return exited;
+  };
+  for (let i = 0; i < 200; i++) {
+    try {
+      if ((await fetch(`${url}/health`)).ok) return { url, output: () => output, stop };
+    } catch (err) {
+      // not listening yet
+    }
+    if (child.exitCode !== null) break;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  await stop();
+  throw new Error(`server.js did not start:\n${output}`);
+}
+
+async function send(server, method, url, body) {
+  const res = await fetch(server.url + url, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch (err) { /* not JSON */ }
+  return { status: res.status, headers: res.headers, body: json, text };
+}
+
+test('tasks are validated field by field and failures are counted', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const rejected = await send(server, 'POST', '/tasks', { title: ' ', priority: 'urgent', completed: 'yes' });
+  assert.strictEqual(rejected.status, 400);
+  assert.deepStrictEqual(Object.keys(rejected.body.errors), ['title', 'priority', 'completed']);
+  assert.strictEqual(rejected.body.error, rejected.body.errors.title);
+
+  const created = await send(server, 'POST', '/tasks', { title: 'Write tests', dueDate: '2026-01-31' });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.priority, 'medium');
+
+  const invalidUpdate = await send(server, 'PUT', `/tasks/${created.body.id}`, { dueDate: 'someday' });
+  assert.strictEqual(invalidUpdate.status, 400);
+  assert.ok(invalidUpdate.body.errors.dueDate);
+  const updated = await send(server, 'PUT', `/tasks/${created.body.id}`, { completed: true });
+  assert.strictEqual(updated.body.completed, true);
+  assert.strictEqual((await send(server, 'PUT', '/tasks/999', { completed: true })).status, 404);
+
+  const metrics = await send(server, 'GET', '/metrics');
+  assert.match(metrics.headers.get('content-type'), /^text\/plain.*version=0\.0\.4/);
+  assert.match(metrics.text, /task_validation_failures_total\{field="title"\} 1/);
+  assert.match(metrics.text, /task_validation_failures_total\{field="dueDate"\} 1/);
+  assert.match(metrics.text, /tasks_completed 1/);
+});
+
+test('requests are logged with their ID and /health reports ready', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const res = await fetch(`${server.url}/tasks`, { headers: { 'X-Request-Id': 'task-123' } });
+  assert.strictEqual(res.headers.get('x-request-id'), 'task-123');
+  for (let i = 0; i < 50 && !server.output().includes('"requestId":"task-123"'); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.match(server.output(), /"requestId":"task-123"/);
+
+  const malformed = await fetch(`${server.url}/tasks`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{'
+  });
+  assert.strictEqual(malformed.status, 400);
+
+  const health = await send(server, 'GET', '/health');
+  assert.strictEqual(health.status, 200);
+  assert.strictEqual(health.body.status, 'ok');
+});
@@ -0,0 +1,179 @@
+// Admin area for reading stored messages, behind a single login.
+// The username and password come from ADMIN_USERNAME (default "admin") and
+// ADMIN_PASSWORD; without a password the admin area stays switched off.
+// Sign-in attempts are limited per IP and per username: LOGIN_MAX (default
+// 10) every LOGIN_WINDOW_MS (default 15 minutes).
+const crypto = require('crypto');
+const express = require('express');
+const { validCsrf, requireCsrf } = require('./csrf');
+const { createLimiter } = require('./rate-limit');
+
+const FOLDERS = ['inbox', 'archived'];
+
+// Compare hashes so the check takes the same time whatever was typed
+function sameText(a, b) {
+  const hash = text => crypto.createHash('sha256').update(String(text)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+// The flash message set before a redirect, shown once
+function takeFlash(req) {
+  const flash = req.session.flash;
+  delete req.session.flash;
+  return flash;
+}
+
+// Only send people back to admin list pages
+function backTo(req, fallback) {
+  const back = req.body.back;
+  return typeof back === 'string' && /^\/admin\/messages(\?|$)/.test(back) ? back : fallback;
+}
+
+function createAdminRouter({ inbox }) {
+  const router = express.Router();
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD;
+
+  // Messages are still stored; they just can't be read here until a password is set
+  if (!password) {
+    console.log('ADMIN_PASSWORD is not set; the admin inbox at /admin is disabled');
+    router.use((req, res) => {
+      res.status(503).send('The admin inbox is disabled. Set ADMIN_PASSWORD to enable it.');
+    });
+    return router;
+  }
+
+  const loginLimits = {
+    windowMs: parseInt(process.env.LOGIN_WINDOW_MS, 10) || 15 * 60 * 1000,
+    max: parseInt(process.env.LOGIN_MAX, 10) || 10
+  };
+  const loginsByIp = createLimiter(loginLimits);
+  const loginsByUsername = createLimiter(loginLimits);
+
+  function renderLogin(req, res, error = null) {
+    res.render('admin/login', {
+      title: 'Admin Sign In',
+      username: typeof req.body?.username === 'string' ? req.body.username : '',
+      flash: takeFlash(req),
+      error
+    });
+  }
+
+  // Everything below the login routes needs a signed-in admin
+  function requireAdmin(req, res, next) {
+    if (req.session.admin) return next();
+    res.redirect('/admin/login');
+  }
+
+  router.get('/login', (req, res) => {
+    if (req.session.admin) return res.redirect('/admin/messages');
+    renderLogin(req, res);
+  });
+
+  router.post('/login', (req, res, next) => {
+    if (!validCsrf(req)) {
+      res.status(403);
+      return renderLogin(req, res, 'Your session has expired. Please sign in again.');
+    }
+
+    // Both counters move on every attempt, so one IP can't try many names
+    // and many IPs can't share the guessing for one name
+    const name = typeof req.body.username === 'string' ? req.body.username.trim().toLowerCase() : '';
+    const blocked = [loginsByIp.hit(req.ip), loginsByUsername.hit(name)].find(result => !result.allowed);
+    if (blocked) {
+      const minutes = Math.ceil(blocked.retryAfter / 60);
+      res.set('Retry-After', String(blocked.retryAfter));
+      res.status(429);
+      return renderLogin(req, res,
+        `Too many sign-in attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+    }
+    if (!sameText(req.body.username, username) || !sameText(req.body.password, password)) {
+      res.status(401);
+      return renderLogin(req, res, 'Wrong username or password.');
+    }
+
+    // New session id on sign in, so a session planted before it can't be reused
+    req.session.regenerate(err => {
+      if (err) return next(err);
+      req.session.admin = true;
+      res.redirect(303, '/admin/messages');
+    });
+  });
+
+  router.post('/logout', requireCsrf, (req, res, next) => {
+    req.session.regenerate(err => {
+      if (err) return next(err);
+      req.session.flash = 'You have been signed out.';
+      res.redirect(303, '/admin/login');
+    });
+  });
+
+  router.use(requireAdmin);
+
+  router.get('/', (req, res) => {
+    res.redirect('/admin/messages');
+  });
+
+  // Message list: ?folder=inbox|archived&q=search&page=2
+  router.get('/messages', (req, res) => {
+    const folder = FOLDERS.includes(req.query.folder) ? req.query.folder : 'inbox';
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const page = parseInt(req.query.page, 10) || 1;
+
+    res.render('admin/messages', {
+      title: 'Messages',
+      folder,
+      q,
+      result: inbox.list({ folder, q, page }),
+      unread: inbox.unreadCounts(),
+      back: req.originalUrl,
+      flash: takeFlash(req)
+    });
+  });
+
+  // Opening a message marks it as read
+  router.get('/messages/:id', (req, res) => {
+    const message = inbox.get(req.params.id);
+    if (!message) {
+      return res.status(404).send('Message not found');
+    }
+    if (!message.read) inbox.update(message.id, { read: true });
+
+    res.render('admin/message', {
+      title: 'Message',
+      message,
+      flash: takeFlash(req)
+    });
+  });
+
+  // read=true|false
+  router.post('/messages/:id/read', requireCsrf, (req, res) => {
+    const read = req.body.read === 'true';
+    const message = inbox.update(req.params.id, { read });
+    req.session.flash = message
+      ? `Marked as ${read ? 'read' : 'unread'}.`
+      : 'That message no longer exists.';
+    res.redirect(303, backTo(req, `/admin/messages/${req.params.id}`));
+  });
+
+  // archived=true|false
+  router.post('/messages/:id/archive', requireCsrf, (req, res) => {
+    const archived = req.body.archived === 'true';
+    const message = inbox.update(req.params.id, { archived });
+    req.session.flash = message
+      ? (archived ? 'Message archived.' : 'Message moved to the inbox.')
+      : 'That message no longer exists.';
+    res.redirect(303, backTo(req, `/admin/messages/${req.params.id}`));
+  });
+
+  router.post('/messages/:id/delete', requireCsrf, (req, res) => {
+    req.session.flash = inbox.remove(req.params.id)
+      ? 'Message deleted.'
+      : 'That message no longer exists.';
+    res.redirect(303, backTo(req, '/admin/messages'));
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,32 @@
+// CSRF protection for the form. Each session gets a random token that the
+// form sends back in a hidden _csrf field; a POST without the matching token
+// did not come from our page and is turned away.
+const crypto = require('crypto');
+
+// The session's token, created on first use
+function csrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+}
+
+// True when the request carries the session's token
+function validCsrf(req) {
+  const expected = req.session.csrfToken;
+  const sent = req.body && req.body._csrf;
+  if (!expected || typeof sent !== 'string') return false;
+
+  const a = Buffer.from(sent);
+  const b = Buffer.from(expected);
+  // timingSafeEqual throws on different lengths
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Middleware for POSTs with no form to show again: reject requests without the token
+function requireCsrf(req, res, next) {
+  if (validCsrf(req)) return next();
+  res.status(403).send('Invalid or missing form token. Go back, reload the page and try again.');
+}
+
+module.exports = { csrfToken, validCsrf, requireCsrf };
@@ -0,0 +1,95 @@
+// Stored contact messages. They are kept in memory and written to a JSON
+// file (INBOX_FILE, default data/messages.json) after every change; the file
+// is written to a temporary name first and renamed, so a crash mid-write
+// never leaves it half-written.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'data', 'messages.json');
+const PER_PAGE = 10;
+
+function createInbox(file = process.env.INBOX_FILE || DEFAULT_FILE) {
+  let messages = [];
+  if (fs.existsSync(file)) {
+    messages = JSON.parse(fs.readFileSync(file, 'utf8')).messages || [];
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ messages }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // Store a validated submission; new messages are unread and in the inbox
+  function add({ name, email, message }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      name,
+      email,
+      message,
+      read: false,
+      archived: false,
+      createdAt: new Date().toISOString()
+    };
+    messages.push(entry);
+    save();
+    return entry;
+  }
+
+  function get(id) {
+    return messages.find(entry => entry.id === id) || null;
+  }
+
+  // Set read and/or archived; returns the message, or null if it's gone
+  function update(id, changes) {
+    const entry = get(id);
+    if (!entry) return null;
+    if (typeof changes.read === 'boolean') entry.read = changes.read;
+    if (typeof changes.archived === 'boolean') entry.archived = changes.archived;
+    save();
+    return entry;
+  }
+
+  function remove(id) {
+    const index = messages.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+    messages.splice(index, 1);
+    save();
+    return true;
+  }
+
+  // One page of a folder ('inbox' or 'archived'), newest first.
+  // q matches name, email or message, ignoring case.
+  function list({ folder = 'inbox', q = '', page = 1 } = {}) {
+    const search = q.trim().toLowerCase();
+    const matches = messages
+      .filter(entry => entry.archived === (folder === 'archived'))
+      .filter(entry => !search || [entry.name, entry.email, entry.message]
+        .some(text => text.toLowerCase().includes(search)))
+      .reverse();
+
+    const pages = Math.max(1, Math.ceil(matches.length / PER_PAGE));
+    const current = Math.min(Math.max(1, page), pages);
+    return {
+      items: matches.slice((current - 1) * PER_PAGE, current * PER_PAGE),
+      total: matches.length,
+      page: current,
+      pages
+    };
+  }
+
+  // Unread messages per folder, for the admin navigation
+  function unreadCounts() {
+    const counts = { inbox: 0, archived: 0 };
+    messages.forEach(entry => {
+      if (!entry.read) counts[entry.archived ? 'archived' : 'inbox']++;
+    });
+    return counts;
+  }
+
+  return { add, get, update, remove, list, unreadCounts };
+}
+
+module.exports = { createInbox };
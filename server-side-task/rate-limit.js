@@ -0,0 +1,34 @@
+// Fixed-window attempt counter, kept in memory. Each key (an IP address, a
+// username) gets max attempts per window; the window starts on its first
+// attempt. Finished windows are swept once a minute.
+function createLimiter({ windowMs, max }) {
+  const hits = new Map();
+
+  // unref: the sweep alone must not keep the process running
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, 60 * 1000);
+  sweeper.unref();
+
+  // Count an attempt. Returns { allowed, retryAfter } (retryAfter in seconds)
+  function hit(key) {
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+    return {
+      allowed: entry.count <= max,
+      retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+    };
+  }
+
+  return { hit };
+}
+
+module.exports = { createLimiter };
@@ -1,46 +1,145 @@
+const crypto = require('crypto');
 const express = require('express');
+const session = require('express-session');
+const { fields, validateSubmission } = require('./validation');
+const { csrfToken, validCsrf, requireCsrf } = require('./csrf');
+const { themeOf, setTheme } = require('./theme');
+const { createInbox } = require('./inbox');
+const { createAdminRouter } = require('./admin');
+const { SessionStore } = require('./sessions');
 const app = express();
-const port = 3000;
+const port = process.env.PORT || 3000;
+const inbox = createInbox();
+
+const THANK_YOU = 'Thank you for submitting the form! Your information has been received and processed.';
+
+// Serve static files from public directory
+app.use(express.static('public'));
 
 // Middleware to parse form data
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
-// Serve static files from public directory
-app.use(express.static('public'));
+// Sessions hold the CSRF token and the message shown after a redirect.
+// Without SESSION_SECRET a random one is used, so sessions end on restart.
+// They expire after SESSION_MAX_AGE_MS (default 2 hours) without a visit.
+app.use(session({
+  secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+  store: new SessionStore(),
+  resave: false,
+  saveUninitialized: false,
+  rolling: true,
+  cookie: {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: parseInt(process.env.SESSION_MAX_AGE_MS, 10) || 2 * 60 * 60 * 1000
+  }
+}));
 
 // Set view engine to EJS
 app.set('view engine', 'ejs');
 app.set('views', './views');
 
+// What the layout partials need on every page; views can override flash and error
+app.use((req, res, next) => {
+  res.locals.theme = themeOf(req);
+  // Made only when a page is rendered (every page has the theme form), so
+  // redirects, JSON answers and static files don't start a session
+  Object.defineProperty(res.locals, 'csrfToken', { enumerable: true, get: () => csrfToken(req) });
+  // Pages re-rendered after a POST have no URL to come back to
+  res.locals.currentUrl = req.method === 'GET' ? req.originalUrl : '/';
+  res.locals.isAdmin = Boolean(req.session.admin);
+  res.locals.flash = null;
+  res.locals.error = null;
+  next();
+});
+
+// Render the form, optionally with the values and errors of a rejected submission
+function renderForm(res, { values = {}, errors = {}, error = null } = {}) {
+  res.render('index', {
+    title: 'User Form',
+    rules: fields,
+    values,
+    errors,
+    error: error || (Object.keys(errors).length > 0 ? 'Please correct the highlighted fields.' : null)
+  });
+}
+
 // GET route to display the form
 app.get('/', (req, res) => {
-  res.render('index', { title: 'User Form' });
+  renderForm(res);
 });
 
-// POST route to handle form submission
+// POST route to handle form submission.
+// Browsers get HTML; clients sending Accept: application/json get JSON back.
 app.post('/submit', (req, res) => {
-  const { name, email, message } = req.body;
-  
-  // Validate that all fields are provided
-  if (!name || !email || !message) {
-    return res.status(400).render('index', {
-      title: 'User Form',
-      error: 'All fields are required!'
+  const wantsJson = req.accepts(['html', 'json']) === 'json';
+  const { values, errors } = validateSubmission(req.body);
+
+  // Missing or stale token: keep what was typed so it can be sent again.
+  // JSON bodies don't need one: browsers can't send them cross-site
+  // without a CORS preflight, which this server never allows.
+  if (!req.is('application/json') && !validCsrf(req)) {
+    const error = 'Your session has expired. Please submit the form again.';
+    res.status(403);
+    if (wantsJson) {
+      return res.json({ success: false, message: error });
+    }
+    return renderForm(res, { values, error });
+  }
+
+  if (Object.keys(errors).length > 0) {
+    if (wantsJson) {
+      return res.status(422).json({
+        success: false,
+        message: 'Please correct the highlighted fields.',
+        errors
+      });
+    }
+    // Show the form again with what the user typed and what's wrong with it
+    res.status(400);
+    return renderForm(res, { values, errors });
+  }
+
+  const stored = inbox.add(values);
+
+  if (wantsJson) {
+    return res.status(201).json({
+      success: true,
+      message: THANK_YOU,
+      data: stored
     });
   }
-  
-  // Pass the form data to the success template
+
+  // Redirect so refreshing the confirmation page doesn't resubmit the form
+  req.session.submission = values;
+  req.session.flash = THANK_YOU;
+  res.redirect(303, '/success');
+});
+
+// GET route for the confirmation page; the flash message shows only once
+app.get('/success', (req, res) => {
+  const userData = req.session.submission;
+  if (!userData) {
+    return res.redirect('/');
+  }
+
+  const flash = req.session.flash;
+  delete req.session.flash;
+
   res.render('success', {
     title: 'Form Submission Success',
-    userData: {
-      name,
-      email,
-      message
-    }
+    userData,
+    flash
   });
 });
 
+// Switch between the light and dark theme
+app.post('/theme', requireCsrf, setTheme);
+
+// Admin area: stored messages
+app.use('/admin', createAdminRouter({ inbox }));
+
 // Start the server
 app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}`);
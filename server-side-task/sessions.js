@@ -0,0 +1,71 @@
+// In-memory session store that forgets expired sessions. express-session's
+// own MemoryStore only drops a session when it is read after expiring, so
+// visitors who never come back stay in memory forever; this one also sweeps
+// every PRUNE_EVERY. Sessions still live in this process only: they end on
+// restart and are not shared between instances.
+const session = require('express-session');
+
+const PRUNE_EVERY = 10 * 60 * 1000;
+
+class SessionStore extends session.Store {
+  constructor({ pruneEvery = PRUNE_EVERY } = {}) {
+    super();
+    this.sessions = new Map();
+    // unref: the sweep alone must not keep the process running
+    this.timer = setInterval(() => this.prune(), pruneEvery);
+    this.timer.unref();
+  }
+
+  // Sessions without a cookie expiry are kept until destroyed
+  static expiresAt(sess) {
+    return sess.cookie && sess.cookie.expires ? new Date(sess.cookie.expires).getTime() : Infinity;
+  }
+
+  get(sid, callback) {
+    let entry = this.sessions.get(sid);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.sessions.delete(sid);
+      entry = null;
+    }
+    setImmediate(callback, null, entry ? JSON.parse(entry.data) : null);
+  }
+
+  set(sid, sess, callback) {
+    this.sessions.set(sid, { data: JSON.stringify(sess), expiresAt: SessionStore.expiresAt(sess) });
+    if (callback) setImmediate(callback, null);
+  }
+
+  // Keep an unchanged session alive for another cookie lifetime
+  touch(sid, sess, callback) {
+    const entry = this.sessions.get(sid);
+    if (entry) {
+      entry.expiresAt = SessionStore.expiresAt(sess);
+      entry.data = JSON.stringify({ ...JSON.parse(entry.data), cookie: sess.cookie });
+    }
+    if (callback) setImmediate(callback, null);
+  }
+
+  destroy(sid, callback) {
+    this.sessions.delete(sid);
+    if (callback) setImmediate(callback, null);
+  }
+
+  length(callback) {
+    setImmediate(callback, null, this.sessions.size);
+  }
+
+  // Drop every expired session; returns how many went
+  prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [sid, entry] of this.sessions) {
+      if (entry.expiresAt <= now) {
+        this.sessions.delete(sid);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = { SessionStore };
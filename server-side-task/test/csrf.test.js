@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { csrfToken, validCsrf } = require('../csrf');
+const { SessionStore } = require('../sessions');
+const { startServer, createClient } = require('./helpers');
+
+const MESSAGE = { name: 'Ann Lee', email: 'ann@example.com', message: 'Hello there, team!' };
+
+test('validCsrf accepts only the session token', () => {
+  const req = { session: {}, body: {} };
+  assert.strictEqual(validCsrf(req), false);
+  const token = csrfToken(req);
+  assert.strictEqual(csrfToken(req), token);
+
+  req.body._csrf = token;
+  assert.strictEqual(validCsrf(req), true);
+  req.body._csrf = `${token}0`;
+  assert.strictEqual(validCsrf(req), false);
+  req.body._csrf = [token];
+  assert.strictEqual(validCsrf(req), false);
+});
+
+test('SessionStore forgets expired sessions', async (t) => {
+  const store = new SessionStore();
+  t.after(() => clearInterval(store.timer));
+  const get = sid => new Promise(resolve => store.get(sid, (err, sess) => resolve(sess)));
+
+  store.set('live', { cookie: { expires: new Date(Date.now() + 60000) }, n: 1 });
+  store.set('old', { cookie: { expires: new Date(Date.now() - 1000) }, n: 2 });
+  store.set('stale', { cookie: { expires: new Date(Date.now() - 1000) }, n: 3 });
+  assert.strictEqual((await get('live')).n, 1);
+  assert.strictEqual(await get('old'), null);
+  assert.strictEqual(store.prune(), 1);
+  assert.deepStrictEqual(Array.from(store.sessions.keys()), ['live']);
+});
+
+test('the form needs its token and redirects to a one-time confirmation', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const client = createClient(server);
+
+  // No session yet: the token can't match, and what was typed is kept
+  const forged = await client.request('POST', '/submit', { form: { ...MESSAGE, _csrf: 'guess' } });
+  assert.strictEqual(forged.status, 403);
+  assert.match(forged.text, /Your session has expired/);
+  assert.match(forged.text, /value="ann@example.com"/);
+
+  const _csrf = await client.csrfFrom('/');
+  const submitted = await client.request('POST', '/submit', { form: { ...MESSAGE, _csrf } });
+  assert.strictEqual(submitted.status, 303);
+  assert.strictEqual(submitted.headers.get('location'), '/success');
+
+  const first = await client.request('GET', '/success');
+  assert.strictEqual(first.status, 200);
+  assert.match(first.text, /class="flash" role="status">Thank you for submitting the form!/);
+  assert.match(first.text, /Hello there, team!/);
+  const refreshed = await client.request('GET', '/success');
+  assert.doesNotMatch(refreshed.text, /class="flash"/);
+  assert.match(refreshed.text, /Hello there, team!/);
+
+  const stranger = await createClient(server).request('GET', '/success');
+  assert.strictEqual(stranger.status, 302);
+  assert.strictEqual(stranger.headers.get('location'), '/');
+});
@@ -0,0 +1,120 @@
+// Helpers for the smoke tests (npm test). startServer runs server.js in a
+// child process on a free port with its inbox in a temporary directory;
+// createClient talks to it like a browser, keeping its cookies.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ADMIN = { username: 'admin', password: 'test-password' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start server.js and wait until it answers. env adds to or replaces the
+// test environment. Returns { url, dir, output, stop }.
+async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sst-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      INBOX_FILE: path.join(dir, 'messages.json'),
+      ADMIN_USERNAME: ADMIN.username,
+      ADMIN_PASSWORD: ADMIN.password,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  const stop = async () => {
+    if (child.exitCode === null) child.kill();
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  const url = `http://127.0.0.1:${port}`;
+  for (let i = 0; i < 100; i++) {
+    try {
+      await fetch(url);
+      return { url, dir, output: () => output, stop };
+    } catch (err) {
+      // Not listening yet
+    }
+    if (child.exitCode !== null) break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  await stop();
+  throw new Error(`server.js did not start:\n${output}`);
+}
+
+// A browser-like client: sends back the cookies it was given and does not
+// follow redirects. request() returns { status, headers, text, json }.
+function createClient(server) {
+  const cookies = new Map();
+
+  async function request(method, url, { form, json, headers = {} } = {}) {
+    const sent = { ...headers };
+    if (cookies.size > 0) {
+      sent.Cookie = Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+    }
+    let body;
+    if (form) {
+      body = new URLSearchParams(form).toString();
+      sent['Content-Type'] = 'application/x-www-form-urlencoded';
+    } else if (json) {
+      body = JSON.stringify(json);
+      sent['Content-Type'] = 'application/json';
+    }
+
+    const res = await fetch(server.url + url, { method, headers: sent, body, redirect: 'manual' });
+    res.headers.getSetCookie().forEach(cookie => {
+      const [pair] = cookie.split(';');
+      const index = pair.indexOf('=');
+      cookies.set(pair.slice(0, index), pair.slice(index + 1));
+    });
+    const text = await res.text();
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      // HTML or plain text
+    }
+    return { status: res.status, headers: res.headers, text, json: parsed };
+  }
+
+  // The CSRF token from the hidden _csrf field of the page at url
+  async function csrfFrom(url = '/') {
+    const page = await request('GET', url);
+    const match = /name="_csrf" value="([^"]+)"/.exec(page.text);
+    if (!match) throw new Error(`no _csrf field on ${url}`);
+    return match[1];
+  }
+
+  return { cookies, request, csrfFrom };
+}
+
+// Sign a client in to the admin area
+async function signIn(client) {
+  const _csrf = await client.csrfFrom('/admin/login');
+  const res = await client.request('POST', '/admin/login', { form: { ...ADMIN, _csrf } });
+  if (res.status !== 303) throw new Error(`sign in failed with ${res.status}`);
+}
+
+module.exports = { ADMIN, startServer, createClient, signIn };
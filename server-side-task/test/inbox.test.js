@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createInbox } = require('../inbox');
+const { createLimiter } = require('../rate-limit');
+const { ADMIN, startServer, createClient, signIn } = require('./helpers');
+
+test('the inbox pages, searches and keeps messages in its file', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sst-inbox-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'data', 'messages.json');
+
+  const inbox = createInbox(file);
+  const added = [];
+  for (let i = 1; i <= 12; i++) {
+    added.push(inbox.add({ name: `Person ${i}`, email: `p${i}@example.com`, message: i === 3 ? 'About billing' : 'Hello' }));
+  }
+  const first = inbox.list();
+  assert.strictEqual(first.total, 12);
+  assert.strictEqual(first.pages, 2);
+  assert.strictEqual(first.items[0].name, 'Person 12');
+  assert.strictEqual(inbox.list({ page: 9 }).items.length, 2);
+  assert.deepStrictEqual(inbox.list({ q: 'BILLING' }).items.map(entry => entry.name), ['Person 3']);
+
+  inbox.update(added[0].id, { archived: true });
+  inbox.update(added[1].id, { read: true });
+  assert.strictEqual(inbox.remove(added[2].id), true);
+  assert.strictEqual(inbox.remove(added[2].id), false);
+  assert.deepStrictEqual(inbox.unreadCounts(), { inbox: 9, archived: 1 });
+
+  const reloaded = createInbox(file);
+  assert.strictEqual(reloaded.list({ folder: 'archived' }).items[0].id, added[0].id);
+  assert.strictEqual(reloaded.get(added[1].id).read, true);
+  assert.strictEqual(reloaded.get(added[2].id), null);
+});
+
+test('createLimiter allows max hits per key and window', () => {
+  const limiter = createLimiter({ windowMs: 60000, max: 2 });
+  assert.strictEqual(limiter.hit('a').allowed, true);
+  assert.strictEqual(limiter.hit('a').allowed, true);
+  const blocked = limiter.hit('a');
+  assert.strictEqual(blocked.allowed, false);
+  assert.strictEqual(blocked.retryAfter, 60);
+  assert.strictEqual(limiter.hit('b').allowed, true);
+});
+
+test('the admin area needs a password and a sign in', async (t) => {
+  const disabled = await startServer({ ADMIN_PASSWORD: '' });
+  t.after(() => disabled.stop());
+  assert.strictEqual((await createClient(disabled).request('GET', '/admin/login')).status, 503);
+
+  const server = await startServer({ LOGIN_MAX: '2' });
+  t.after(() => server.stop());
+  const guest = createClient(server);
+  const outside = await guest.request('GET', '/admin/messages');
+  assert.strictEqual(outside.headers.get('location'), '/admin/login');
+
+  const _csrf = await guest.csrfFrom('/admin/login');
+  const wrong = await guest.request('POST', '/admin/login', { form: { ...ADMIN, password: 'nope', _csrf } });
+  assert.strictEqual(wrong.status, 401);
+  await guest.request('POST', '/admin/login', { form: { ...ADMIN, password: 'nope', _csrf } });
+  const limited = await guest.request('POST', '/admin/login', { form: { ...ADMIN, _csrf } });
+  assert.strictEqual(limited.status, 429);
+  assert.ok(limited.headers.get('retry-after'));
+});
+
+test('admins read, archive and delete stored messages', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const visitor = createClient(server);
+  const sent = await visitor.request('POST', '/submit', {
+    json: { name: 'Ann Lee', email: 'ann@example.com', message: 'Please call me back.' },
+    headers: { Accept: 'application/json' }
+  });
+  const { id } = sent.json.data;
+
+  const admin = createClient(server);
+  await signIn(admin);
+  const list = await admin.request('GET', '/admin/messages?q=call');
+  assert.match(list.text, new RegExp(`href="/admin/messages/${id}"`));
+  assert.match(list.text, /Inbox \(1 unread\)/);
+
+  const detail = await admin.request('GET', `/admin/messages/${id}`);
+  assert.match(detail.text, /Please call me back\./);
+  assert.match((await admin.request('GET', '/admin/messages')).text, /Inbox \(0 unread\)/);
+
+  const _csrf = await admin.csrfFrom('/admin/messages');
+  const archived = await admin.request('POST', `/admin/messages/${id}/archive`, { form: { _csrf, archived: 'true' } });
+  assert.strictEqual(archived.status, 303);
+  assert.match((await admin.request('GET', '/admin/messages?folder=archived')).text, /Message archived\./);
+  assert.strictEqual((await admin.request('POST', `/admin/messages/${id}/delete`, { form: { _csrf: 'x' } })).status, 403);
+  await admin.request('POST', `/admin/messages/${id}/delete`, { form: { _csrf } });
+  assert.strictEqual((await admin.request('GET', `/admin/messages/${id}`)).status, 404);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(server.dir, 'messages.json'), 'utf8')).messages, []);
+});
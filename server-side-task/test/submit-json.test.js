@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, createClient } = require('./helpers');
+
+const JSON_ACCEPT = { Accept: 'application/json' };
+
+test('POST /submit answers JSON clients with JSON', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const client = createClient(server);
+
+  const created = await client.request('POST', '/submit', {
+    json: { name: ' Ann Lee ', email: 'ann@example.com', message: 'Hello there, team!' },
+    headers: JSON_ACCEPT
+  });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.json.success, true);
+  assert.strictEqual(created.json.data.name, 'Ann Lee');
+  assert.strictEqual(created.json.data.read, false);
+  // JSON requests start no session
+  assert.strictEqual(client.cookies.size, 0);
+  const stored = JSON.parse(fs.readFileSync(path.join(server.dir, 'messages.json'), 'utf8')).messages;
+  assert.deepStrictEqual(stored.map(entry => entry.id), [created.json.data.id]);
+
+  const invalid = await client.request('POST', '/submit', { json: { email: 'nope' }, headers: JSON_ACCEPT });
+  assert.strictEqual(invalid.status, 422);
+  assert.deepStrictEqual(Object.keys(invalid.json.errors), ['name', 'email', 'message']);
+
+  // A form post asking for JSON still needs the CSRF token
+  const formPost = await client.request('POST', '/submit', {
+    form: { name: 'Ann Lee', email: 'ann@example.com', message: 'Hello there, team!' },
+    headers: JSON_ACCEPT
+  });
+  assert.strictEqual(formPost.status, 403);
+  assert.strictEqual(formPost.json.success, false);
+
+  // Browsers still get the page
+  const browser = await client.request('POST', '/submit', { json: { email: 'nope' }, headers: { Accept: 'text/html' } });
+  assert.strictEqual(browser.status, 400);
+  assert.match(browser.headers.get('content-type'), /text\/html/);
+});
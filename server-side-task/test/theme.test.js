@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { themeOf } = require('../theme');
+const { startServer, createClient } = require('./helpers');
+
+test('themeOf reads the theme cookie and falls back to light', () => {
+  const req = cookie => ({ get: () => cookie });
+  assert.strictEqual(themeOf(req(undefined)), 'light');
+  assert.strictEqual(themeOf(req('a=1; theme=dark')), 'dark');
+  assert.strictEqual(themeOf(req('theme=neon')), 'light');
+  assert.strictEqual(themeOf(req('mytheme=dark')), 'light');
+});
+
+test('pages share the layout and the theme switch is remembered', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const client = createClient(server);
+
+  const page = await client.request('GET', '/');
+  assert.match(page.text, /<html lang="en" data-theme="light">/);
+  assert.match(page.text, /<link rel="stylesheet" href="\/css\/style.css">/);
+  assert.match(page.text, /<header class="site-header">/);
+  const css = await client.request('GET', '/css/style.css');
+  assert.strictEqual(css.status, 200);
+  assert.match(css.headers.get('content-type'), /text\/css/);
+
+  const _csrf = /name="_csrf" value="([^"]+)"/.exec(page.text)[1];
+  assert.strictEqual((await client.request('POST', '/theme', { form: { theme: 'dark' } })).status, 403);
+  const switched = await client.request('POST', '/theme', { form: { _csrf, theme: 'dark', back: '//evil.example' } });
+  assert.strictEqual(switched.status, 303);
+  assert.strictEqual(switched.headers.get('location'), '/');
+  assert.strictEqual(client.cookies.get('theme'), 'dark');
+
+  const dark = await client.request('GET', '/admin/login');
+  assert.match(dark.text, /data-theme="dark"/);
+  assert.match(dark.text, /name="back" value="\/admin\/login"/);
+});
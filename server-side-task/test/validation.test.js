@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSubmission } = require('../validation');
+const { startServer, createClient } = require('./helpers');
+
+test('validateSubmission trims values and gives each field its first error', () => {
+  const valid = validateSubmission({ name: '  Zoë  ', email: 'zoe@example.com', message: 'Hello there, team!' });
+  assert.deepStrictEqual(valid.errors, {});
+  assert.strictEqual(valid.values.name, 'Zoë');
+
+  const { values, errors } = validateSubmission({ name: 'Z', email: 'not-an-email', message: 42 });
+  assert.strictEqual(values.message, '');
+  assert.deepStrictEqual(errors, {
+    name: 'Full name must be at least 2 characters',
+    email: 'Enter a valid email address, like name@example.com',
+    message: 'Message is required'
+  });
+  assert.strictEqual(validateSubmission({ name: 'x'.repeat(101) }).errors.name,
+    'Full name must be at most 100 characters');
+});
+
+test('a rejected submission shows the form again with its values and errors', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+  const client = createClient(server);
+  const _csrf = await client.csrfFrom('/');
+
+  const res = await client.request('POST', '/submit', {
+    form: { _csrf, name: '<b>Ann</b>', email: 'ann@', message: 'Too short' }
+  });
+  assert.strictEqual(res.status, 400);
+  assert.match(res.text, /value="&lt;b&gt;Ann&lt;\/b&gt;"/);
+  assert.match(res.text, /value="ann@"/);
+  assert.match(res.text, />Too short<\/textarea>/);
+  assert.match(res.text, /id="email-error">Enter a valid email address/);
+  assert.match(res.text, /id="message-error">Message must be at least 10 characters/);
+  assert.doesNotMatch(res.text, /id="name-error"/);
+  assert.match(res.text, /maxlength="1000"/);
+});
@@ -0,0 +1,25 @@
+// Light/dark theme, remembered in a cookie for a year. The layout puts the
+// theme on <html data-theme="..."> and public/css/style.css does the rest.
+const THEMES = ['light', 'dark'];
+const COOKIE = 'theme';
+const MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+// The theme from the request's cookie, light when there is none
+function themeOf(req) {
+  const match = (req.get('Cookie') || '').match(/(?:^|;\s*)theme=([a-z]+)/);
+  return match && THEMES.includes(match[1]) ? match[1] : 'light';
+}
+
+// POST /theme with theme=light|dark, then back to the page the switch was on
+function setTheme(req, res) {
+  const theme = THEMES.includes(req.body.theme) ? req.body.theme : 'light';
+  res.cookie(COOKIE, theme, { maxAge: MAX_AGE, httpOnly: true, sameSite: 'lax' });
+
+  // Only paths on this site; "//host" and "/\host" would leave it
+  const back = typeof req.body.back === 'string' && /^\/(?![/\\])/.test(req.body.back)
+    ? req.body.back
+    : '/';
+  res.redirect(303, back);
+}
+
+module.exports = { themeOf, setTheme };
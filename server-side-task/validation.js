@@ -0,0 +1,56 @@
+// Rules for the contact form. The first rule a field breaks gives the
+// message shown next to its input; the limits are also written into the
+// form as minlength/maxlength so browsers can check them early.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const fields = {
+  name: { label: 'Full name', required: true, minLength: 2, maxLength: 100 },
+  email: {
+    label: 'Email address',
+    required: true,
+    maxLength: 254,
+    pattern: EMAIL_PATTERN,
+    patternMessage: 'Enter a valid email address, like name@example.com'
+  },
+  message: { label: 'Message', required: true, minLength: 10, maxLength: 1000 }
+};
+
+// Message for the first rule the value breaks, or null
+function checkField(rule, value) {
+  // Count characters, not UTF-16 units, so accented names measure right
+  const length = Array.from(value).length;
+
+  if (!value) {
+    return rule.required ? `${rule.label} is required` : null;
+  }
+  if (rule.minLength && length < rule.minLength) {
+    return `${rule.label} must be at least ${rule.minLength} characters`;
+  }
+  if (rule.maxLength && length > rule.maxLength) {
+    return `${rule.label} must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.patternMessage;
+  }
+  return null;
+}
+
+// Trim the submitted values and check each against its rule.
+// Returns { values, errors }; errors maps field names to messages and is
+// empty when the submission is valid.
+function validateSubmission(body = {}) {
+  const values = {};
+  const errors = {};
+
+  Object.entries(fields).forEach(([name, rule]) => {
+    const value = typeof body[name] === 'string' ? body[name].trim() : '';
+    values[name] = value;
+
+    const error = checkField(rule, value);
+    if (error) errors[name] = error;
+  });
+
+  return { values, errors };
+}
+
+module.exports = { fields, validateSubmission };
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { coerceRow } = require('./import');
+
+/**
+ * File attachments for POST /api/submit (multipart/form-data)
+ * - Files arrive in the "attachments" field and are held in memory until
+ *   the whole submission has been validated
+ * - The type is sniffed from the file's first bytes; the client's
+ *   Content-Type and file extension are ignored
+ * - Stored on disk as <random id>.<ext>; records keep only the metadata
+ *
+ * Attachment metadata: { id, name, mime, size, sha256, file, uploadedAt }
+ */
+
+const FIELD = 'attachments';
+const DEFAULT_MAX_FILES = 3;
+const DEFAULT_MAX_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+
+function startsWith(buffer, bytes) {
+    return buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte);
+}
+
+// Zip-based formats are told apart by the entry names inside the archive
+function isZipWith(buffer, marker) {
+    return startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]) &&
+        buffer.indexOf(marker, 0, 'latin1') !== -1;
+}
+
+function isUtf8Text(buffer) {
+    if (buffer.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Accepted file types, checked in order
+ */
+const FILE_TYPES = [
+    { mime: 'application/pdf', ext: 'pdf', test: b => startsWith(b, [0x25, 0x50, 0x44, 0x46, 0x2D]) },
+    { mime: 'image/png', ext: 'png', test: b => startsWith(b, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+    { mime: 'image/jpeg', ext: 'jpg', test: b => startsWith(b, [0xFF, 0xD8, 0xFF]) },
+    {
+        mime: 'application/msword',
+        ext: 'doc',
+        test: b => startsWith(b, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])
+    },
+    {
+        mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        ext: 'docx',
+        test: b => isZipWith(b, 'word/')
+    },
+    {
+        mime: 'application/vnd.oasis.opendocument.text',
+        ext: 'odt',
+        test: b => isZipWith(b, 'application/vnd.oasis.opendocument.text')
+    },
+    { mime: 'text/plain', ext: 'txt', test: isUtf8Text }
+];
+
+/**
+ * Detect a file's type from its contents
+ * - Returns the matching FILE_TYPES entry, or null
+ */
+function sniffType(buffer) {
+    if (buffer.length === 0) return null;
+    return FILE_TYPES.find(type => type.test(buffer)) || null;
+}
+
+/**
+ * Human-readable size for messages, e.g. "5 MB" or "200 KB"
+ */
+function formatSize(bytes) {
+    const mb = bytes / 1024 / 1024;
+    return mb >= 1 ? `${Math.round(mb * 10) / 10} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Keep a client-supplied file name safe to show and to send back in
+ * Content-Disposition
+ */
+function cleanFileName(name) {
+    const base = path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f"\\/]/g, '').trim();
+    return base.slice(0, 200) || 'attachment';
+}
+
+// ============================================
+// DISK STORAGE
+// ============================================
+
+class AttachmentStore {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    filePath(attachment) {
+        return path.join(this.dir, path.basename(attachment.file));
+    }
+
+    /**
+     * Throw if new files can't be written (used by GET /health)
+     */
+    check() {
+        fs.accessSync(this.dir, fs.constants.W_OK);
+    }
+
+    /**
+     * Write validated files to disk
+     * - files: multer files with a sniffed `type` added
+     * - Returns the metadata to keep on the record
+     */
+    save(files) {
+        const saved = [];
+        try {
+            files.forEach(upload => {
+                const id = crypto.randomBytes(16).toString('hex');
+                const attachment = {
+                    id,
+                    name: cleanFileName(upload.originalname),
+                    mime: upload.type.mime,
+                    size: upload.buffer.length,
+                    sha256: crypto.createHash('sha256').update(upload.buffer).digest('hex'),
+                    file: `${id}.${upload.type.ext}`,
+                    uploadedAt: new Date().toISOString()
+                };
+                fs.writeFileSync(this.filePath(attachment), upload.buffer, { flag: 'wx' });
+                saved.push(attachment);
+            });
+        } catch (err) {
+            this.remove(saved);
+            throw err;
+        }
+        return saved;
+    }
+
+    /**
+     * Delete the files behind a record's attachments
+     * - Files that are already gone are skipped
+     */
+    remove(attachments) {
+        (attachments || []).forEach(attachment => {
+            try {
+                fs.unlinkSync(this.filePath(attachment));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        });
+    }
+}
+
+// ============================================
+// UPLOAD HANDLING
+// ============================================
+
+/**
+ * Set up attachment uploads
+ * - options.dir: where files are stored          (env: UPLOAD_DIR)
+ * - options.maxFiles: files per submission       (env: UPLOAD_MAX_FILES)
+ * - options.maxFileSize: bytes per file          (env: UPLOAD_MAX_FILE_SIZE)
+ *
+ * Returns { rules, store, parse, check }
+ */
+function createUploads(options = {}) {
+    const dir = options.dir || process.env.UPLOAD_DIR || path.join(__dirname, 'data', 'uploads');
+    const maxFiles = options.maxFiles || parseInt(process.env.UPLOAD_MAX_FILES) || DEFAULT_MAX_FILES;
+    const maxFileSize = options.maxFileSize || parseInt(process.env.UPLOAD_MAX_FILE_SIZE) || DEFAULT_MAX_FILE_SIZE;
+    const store = new AttachmentStore(dir);
+
+    // Served with the form schema so the page can check files before sending
+    const rules = {
+        field: FIELD,
+        maxFiles,
+        maxFileSize,
+        types: FILE_TYPES.map(type => ({ mime: type.mime, ext: type.ext }))
+    };
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            files: maxFiles,
+            fileSize: maxFileSize,
+            fields: 50,
+            fieldSize: 64 * 1024
+        }
+    }).array(FIELD, maxFiles);
+
+    const sizeParams = () => ({ max: maxFiles, maxSize: formatSize(maxFileSize) });
+
+    /**
+     * Express middleware parsing multipart bodies for the given form schema
+     * - JSON requests pass straight through
+     * - Limit violations are answered with 400 in the API's error format
+     * - Text fields are coerced like CSV imports (booleans)
+     */
+    function parse(schema) {
+        return (req, res, next) => {
+            if (!req.is('multipart/form-data')) return next();
+
+            upload(req, res, err => {
+                if (err instanceof multer.MulterError) {
+                    let key = 'fields.attachments.unexpected';
+                    if (err.code === 'LIMIT_FILE_SIZE') key = 'fields.attachments.tooLarge';
+                    if (err.code === 'LIMIT_FILE_COUNT' ||
+                        (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === FIELD)) {
+                        key = 'fields.attachments.tooMany';
+                    }
+                    return res.status(400).json({
+                        success: false,
+                        message: req.t('validation.failed'),
+                        errors: { [FIELD]: req.t(key, { ...sizeParams(), field: FIELD }) }
+                    });
+                }
+                if (err) return next(err);
+
+                req.body = coerceRow(req.body || {}, schema);
+                next();
+            });
+        };
+    }
+
+    /**
+     * Validate parsed files and tag each with its sniffed type
+     * - t: translate function for the request's locale
+     * - Returns an error message, or null when every file is acceptable
+     */
+    function check(files, t) {
+        if (files.length > maxFiles) {
+            return t('fields.attachments.tooMany', sizeParams());
+        }
+        for (const file of files) {
+            if (file.size > maxFileSize) {
+                return t('fields.attachments.tooLarge', sizeParams());
+            }
+            file.type = sniffType(file.buffer);
+            if (!file.type) {
+                return t('fields.attachments.type', { name: cleanFileName(file.originalname) });
+            }
+        }
+        return null;
+    }
+
+    return { rules, store, parse, check };
+}
+
+module.exports = {
+    FILE_TYPES,
+    sniffType,
+    AttachmentStore,
+    createUploads
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only audit trail of record access and mutations
+ * - Persisted as one JSON object per line (NDJSON); entries are only ever
+ *   appended, never rewritten
+ * - Kept in memory only when no file is given
+ *
+ * Entry shape:
+ * { id, at, action, form, recordId, actor, role, ip, before, after, details }
+ * - form: id of the form the record belongs to ("contact" or a forms/
+ *   file); record ids are only unique within a form
+ */
+class AuditLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = [];
+        if (filePath && fs.existsSync(filePath)) {
+            this.entries = fs.readFileSync(filePath, 'utf8')
+                .split('\n')
+                .filter(line => line.trim() !== '')
+                .map(line => JSON.parse(line));
+        }
+        if (filePath) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+    }
+
+    all() {
+        return this.entries.slice();
+    }
+
+    /**
+     * Append an entry
+     * - Written to disk before it becomes visible in memory
+     */
+    append(fields) {
+        const last = this.entries[this.entries.length - 1];
+        const entry = {
+            id: last ? last.id + 1 : 1,
+            at: new Date().toISOString(),
+            action: fields.action,
+            form: fields.form || null,
+            recordId: fields.recordId === undefined ? null : fields.recordId,
+            actor: fields.actor || 'anonymous',
+            role: fields.role || null,
+            ip: fields.ip || null,
+            before: fields.before || null,
+            after: fields.after || null,
+            details: fields.details || null
+        };
+        if (this.filePath) {
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+        }
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Append an entry for the current request
+     * - Actor comes from req.user (set by requireRole), else anonymous
+     */
+    record(req, action, fields = {}) {
+        return this.append({
+            ...fields,
+            action,
+            actor: req.user ? req.user.username : 'anonymous',
+            role: req.user ? req.user.role : null,
+            ip: req.ip
+        });
+    }
+}
+
+/**
+ * Create the audit log
+ * - options.file: NDJSON file, or null for memory only (env: AUDIT_FILE)
+ */
+function createAuditLog(options = {}) {
+    const file = options.file !== undefined
+        ? options.file
+        : process.env.AUDIT_FILE || path.join(__dirname, 'data', 'audit.log');
+    return new AuditLog(file);
+}
+
+module.exports = {
+    AuditLog,
+    createAuditLog
+};
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const express = require('express');
+const { writeFileAtomic } = require('./storage');
+const { rateLimit } = require('./rate-limit');
+const { asyncRoute } = require('./errors');
+
+const ROLES = ['admin', 'user'];
+const DEFAULT_SESSION_TTL = 8 * 60 * 60 * 1000; // 8 hours
+const SCRYPT_KEYLEN = 64;
+const DEFAULT_LOGIN_WINDOW = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_LOGIN_MAX = 10;
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// ============================================
+// PASSWORD HASHING
+// ============================================
+
+/**
+ * Hash a password with scrypt
+ * - Stored as "scrypt$<salt>$<hash>" (hex)
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * - Resolves to true or false; scrypt runs off the event loop
+ * - Constant-time comparison
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    if (expected.length !== SCRYPT_KEYLEN) {
+        return false;
+    }
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked against when the username is unknown, so a login takes as long
+// whether or not the user exists
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * Local user accounts
+ * - Persisted to a JSON file when filePath is given, else in memory only
+ * - Only password hashes are stored
+ */
+class UserStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.users = [];
+        if (filePath && fs.existsSync(filePath)) {
+            this.users = JSON.parse(fs.readFileSync(filePath, 'utf8')).users || [];
+        }
+    }
+
+    persist() {
+        if (this.filePath) {
+            writeFileAtomic(this.filePath, JSON.stringify({ users: this.users }, null, 2));
+        }
+    }
+
+    count() {
+        return this.users.length;
+    }
+
+    find(username) {
+        return this.users.find(u => u.username === username) || null;
+    }
+
+    /**
+     * Create a user
+     * - Throws if the username is taken or the role is unknown
+     */
+    create(username, password, role) {
+        if (!username || !password) {
+            throw new Error('Username and password are required');
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role "${role}". Use one of: ${ROLES.join(', ')}`);
+        }
+        if (this.find(username)) {
+            throw new Error(`User "${username}" already exists`);
+        }
+        const user = {
+            username,
+            role,
+            passwordHash: hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        this.users.push(user);
+        this.persist();
+        return { username, role };
+    }
+
+    /**
+     * Look up a user by credentials
+     * - Resolves to { username, role } or null
+     * - Unknown usernames still hash the password (see DUMMY_HASH)
+     */
+    async authenticate(username, password) {
+        const user = this.find(username);
+        if (!user) {
+            await verifyPassword(password, DUMMY_HASH);
+            return null;
+        }
+        if (!(await verifyPassword(password, user.passwordHash))) {
+            return null;
+        }
+        return { username: user.username, role: user.role };
+    }
+}
+
+// ============================================
+// SESSIONS
+// ============================================
+
+/**
+ * Bearer token sessions
+ * - Kept in memory keyed by the token's SHA-256, so a restart logs everyone out
+ * - Expired sessions are dropped on lookup and swept on every login, so
+ *   tokens that are never used again don't pile up
+ */
+class SessionStore {
+    constructor(ttl) {
+        this.ttl = ttl;
+        this.sessions = new Map();
+    }
+
+    create(user) {
+        this.prune();
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = Date.now() + this.ttl;
+        this.sessions.set(sha256(token), { user, expiresAt });
+        return { token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    get(token) {
+        const key = sha256(token);
+        const session = this.sessions.get(key);
+        if (!session) {
+            return null;
+        }
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(key);
+            return null;
+        }
+        return session.user;
+    }
+
+    destroy(token) {
+        return this.sessions.delete(sha256(token));
+    }
+
+    prune() {
+        const now = Date.now();
+        this.sessions.forEach((session, key) => {
+            if (session.expiresAt <= now) this.sessions.delete(key);
+        });
+    }
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+function defaultUsersFile() {
+    return process.env.USERS_FILE || path.join(__dirname, 'data', 'users.json');
+}
+
+function bearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    return match ? match[1] : null;
+}
+
+function sendUnauthorized(req, res) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+        success: false,
+        message: req.t('auth.required')
+    });
+}
+
+function sendForbidden(req, res) {
+    return res.status(403).json({
+        success: false,
+        message: req.t('auth.forbidden')
+    });
+}
+
+/**
+ * Set up authentication
+ * - options.file: users JSON file, or null for memory only (env: USERS_FILE)
+ * - options.sessionTtl: session lifetime in ms          (env: SESSION_TTL_MS)
+ * - Login attempts are limited per IP and per username
+ *   (env: LOGIN_WINDOW_MS, default 15 minutes; LOGIN_MAX, default 10)
+ * - Seeds an admin from ADMIN_USERNAME / ADMIN_PASSWORD when no users exist
+ *
+ * Returns { users, sessions, router, requireRole }
+ */
+function createAuth(options = {}) {
+    const file = options.file !== undefined ? options.file : defaultUsersFile();
+    const users = new UserStore(file);
+    const sessions = new SessionStore(
+        options.sessionTtl || parseInt(process.env.SESSION_TTL_MS) || DEFAULT_SESSION_TTL
+    );
+
+    if (users.count() === 0 && process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD) {
+        users.create(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD, 'admin');
+    }
+
+    const loginLimits = {
+        windowMs: parseInt(process.env.LOGIN_WINDOW_MS) || DEFAULT_LOGIN_WINDOW,
+        max: parseInt(process.env.LOGIN_MAX) || DEFAULT_LOGIN_MAX,
+        message: req => req.t('auth.tooManyAttempts')
+    };
+    const loginLimitByIp = rateLimit({ ...loginLimits, key: req => req.ip });
+    const loginLimitByUsername = rateLimit({
+        ...loginLimits,
+        key: req => (req.body && typeof req.body.username === 'string'
+            ? req.body.username.trim().toLowerCase()
+            : null)
+    });
+
+    /**
+     * Require a valid session with one of the given roles
+     * - 401 without a valid token, 403 with the wrong role
+     * - Sets req.user for later handlers
+     */
+    function requireRole(...roles) {
+        return (req, res, next) => {
+            const token = bearerToken(req);
+            const user = token && sessions.get(token);
+            if (!user) {
+                return sendUnauthorized(req, res);
+            }
+            if (!roles.includes(user.role)) {
+                return sendForbidden(req, res);
+            }
+            req.user = user;
+            next();
+        };
+    }
+
+    const router = express.Router();
+
+    /**
+     * POST /api/auth/login
+     * Exchange username and password for a bearer token
+     */
+    router.post('/login', loginLimitByIp, loginLimitByUsername, asyncRoute(async (req, res) => {
+        const { username, password } = req.body || {};
+        const user = await users.authenticate(username, password);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: req.t('auth.invalidCredentials')
+            });
+        }
+
+        const session = sessions.create(user);
+        res.json({
+            success: true,
+            message: req.t('auth.loggedIn'),
+            token: session.token,
+            expiresAt: session.expiresAt,
+            user
+        });
+    }));
+
+    /**
+     * POST /api/auth/logout
+     * End the current session
+     */
+    router.post('/logout', requireRole(...ROLES), (req, res) => {
+        sessions.destroy(bearerToken(req));
+        res.json({
+            success: true,
+            message: req.t('auth.loggedOut')
+        });
+    });
+
+    /**
+     * GET /api/auth/me
+     * Current user
+     */
+    router.get('/me', requireRole(...ROLES), (req, res) => {
+        res.json({
+            success: true,
+            user: req.user
+        });
+    });
+
+    return { users, sessions, router, requireRole };
+}
+
+// ============================================
+// CLI: node auth.js create-user <username> <password> [role]
+// ============================================
+
+if (require.main === module) {
+    const [command, username, password, role = 'admin'] = process.argv.slice(2);
+    if (command !== 'create-user' || !username || !password) {
+        console.error('Usage: node auth.js create-user <username> <password> [admin|user]');
+        process.exit(1);
+    }
+    const file = defaultUsersFile();
+    try {
+        const user = new UserStore(file).create(username, password, role);
+        console.log(`Created ${user.role} "${user.username}" in ${file}`);
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    UserStore,
+    SessionStore,
+    createAuth
+};
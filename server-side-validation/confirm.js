@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { CONTACT_FORM_ID } = require('./forms');
+
+/**
+ * Email confirmation (double opt-in)
+ * - New submissions are stored with status "pending" and a
+ *   confirmationExpiresAt; the confirmation link carries a signed token
+ * - Tokens are "<formId>.<recordId>.<expiresAt>.<hmac>", signed over the
+ *   record's email too, so they stop working if the email changes; the
+ *   contact form's tokens leave out "<formId>." (links sent before other
+ *   forms could ask for confirmation keep working)
+ * - A resend moves confirmationExpiresAt, which invalidates older tokens
+ * - Pending records past their expiry no longer reserve their email
+ */
+
+const DEFAULT_TTL = 48 * 60 * 60 * 1000; // 48 hours
+
+/**
+ * Set up confirmation tokens
+ * - options.secret: HMAC key                  (env: CONFIRM_TOKEN_SECRET)
+ * - options.ttl: link lifetime in ms          (env: CONFIRM_TTL_MS)
+ *
+ * Returns { ttl, persistentSecret, expiry, tokenFor, check, isExpired }
+ */
+function createConfirmations(options = {}) {
+    const configuredSecret = options.secret || process.env.CONFIRM_TOKEN_SECRET;
+    const secret = configuredSecret || crypto.randomBytes(32).toString('hex');
+    const ttl = options.ttl || parseInt(process.env.CONFIRM_TTL_MS) || DEFAULT_TTL;
+
+    function sign(form, id, email, expiresAt) {
+        const prefix = form === CONTACT_FORM_ID ? '' : `${form}.`;
+        return crypto.createHmac('sha256', secret)
+            .update(`${prefix}${id}.${String(email).trim().toLowerCase()}.${expiresAt}`)
+            .digest('hex');
+    }
+
+    /**
+     * Expiry timestamp for a token issued now
+     */
+    function expiry() {
+        return new Date(Date.now() + ttl).toISOString();
+    }
+
+    /**
+     * Token for a pending record of a form, valid until its
+     * confirmationExpiresAt
+     * - email: the address the link is sent to
+     */
+    function tokenFor(form, record, email) {
+        const expiresAt = new Date(record.confirmationExpiresAt).getTime();
+        const prefix = form === CONTACT_FORM_ID ? '' : `${form}.`;
+        return `${prefix}${record.id}.${expiresAt}.${sign(form, record.id, email, expiresAt)}`;
+    }
+
+    /**
+     * Check a token
+     * - findRecord(form, id) looks the record up (active records only) and
+     *   returns { record, email }, or null
+     * - Returns { outcome, form, record } where outcome is confirm,
+     *   already, invalid or expired
+     * - The signature is checked first, so "already" is only told to
+     *   holders of a genuine link
+     */
+    function check(token, findRecord) {
+        const parts = String(token || '').split('.');
+        const [form, id, expiresAt, signature] = parts.length === 4 ? parts : [CONTACT_FORM_ID, ...parts];
+        const invalid = { outcome: 'invalid', form, record: null };
+        const found = /^\d+$/.test(id || '') ? findRecord(form, parseInt(id)) : null;
+        if (!found || !signature) {
+            return invalid;
+        }
+        const { record, email } = found;
+        const expected = sign(form, record.id, email, expiresAt);
+        if (signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return invalid;
+        }
+        // Confirming clears confirmationExpiresAt, so only pending records
+        // are held to the latest link
+        if (record.status !== 'pending') {
+            return { outcome: 'already', form, record };
+        }
+        if (new Date(record.confirmationExpiresAt).getTime() !== parseInt(expiresAt)) {
+            return invalid;
+        }
+        if (Date.now() > parseInt(expiresAt)) {
+            return { outcome: 'expired', form, record };
+        }
+        return { outcome: 'confirm', form, record };
+    }
+
+    /**
+     * Whether a record is still unconfirmed after its link expired
+     */
+    function isExpired(record) {
+        return record.status === 'pending' &&
+            new Date(record.confirmationExpiresAt).getTime() < Date.now();
+    }
+
+    return {
+        ttl,
+        persistentSecret: Boolean(configuredSecret),
+        expiry,
+        tokenFor,
+        check,
+        isExpired
+    };
+}
+
+module.exports = {
+    createConfirmations
+};
@@ -0,0 +1,134 @@
+/**
+ * API error responses
+ * - Every error body is { success: false, code, message, errors? }, where
+ *   code is a stable, machine-readable string clients can branch on
+ * - Routes keep sending { success: false, message } with a status; the
+ *   code is filled in from the status (see errorCodes)
+ */
+
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    410: 'GONE',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+const ERROR_CODES = [...new Set([...Object.values(STATUS_CODES), 'VALIDATION_FAILED', 'INVALID_JSON'])];
+
+/**
+ * Code for an error response
+ * - 400 with per-field `errors` is VALIDATION_FAILED
+ */
+function codeFor(status, body) {
+    if (status === 400 && body && body.errors) {
+        return 'VALIDATION_FAILED';
+    }
+    return STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+/**
+ * Express middleware adding `code` to JSON error bodies that lack one
+ * - Only for error statuses: a 200 report with success: false (e.g. an
+ *   import where some rows were rejected) is not an error response
+ */
+function errorCodes() {
+    return (req, res, next) => {
+        const sendJson = res.json.bind(res);
+        res.json = body => {
+            if (res.statusCode >= 400 && body && body.success === false && !body.code) {
+                body = { success: false, code: codeFor(res.statusCode, body), ...body };
+            }
+            return sendJson(body);
+        };
+        next();
+    };
+}
+
+/**
+ * Sort an error passed to next() into a client or server fault
+ * - Body parser failures (malformed JSON, oversized or unsupported bodies)
+ *   keep their 4xx status; anything else is a 500
+ * - t: translate function for the message (default English)
+ * - Returns { status, code, message }
+ */
+function classifyError(err, t = (key, params) => translate(DEFAULT_LOCALE, key, params)) {
+    if (err.type === 'entity.parse.failed') {
+        return { status: 400, code: 'INVALID_JSON', message: t('errors.invalidJson') };
+    }
+    if (err.type === 'entity.too.large') {
+        return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: t('errors.tooLarge') };
+    }
+    if (err.type === 'encoding.unsupported' || err.type === 'charset.unsupported') {
+        return { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE', message: t('errors.unsupportedEncoding') };
+    }
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500 && err.expose !== false) {
+        return { status, code: codeFor(status), message: err.message };
+    }
+    return { status: 500, code: 'INTERNAL_ERROR', message: t('errors.internal') };
+}
+
+/**
+ * Express error middleware
+ * - options.log: structured logger; server faults are logged as errors,
+ *   client faults as warnings
+ * - options.exposeErrors: include the exception message in 500 bodies
+ */
+function errorHandler({ log, exposeErrors }) {
+    return (err, req, res, next) => {
+        if (res.headersSent) {
+            return next(err);
+        }
+        const { status, code, message } = classifyError(err, req.t);
+        const requestLog = req.log || log;
+        if (status >= 500) {
+            requestLog.error('Request failed', { err });
+        } else {
+            requestLog.warn('Rejected request', { code, reason: err.message });
+        }
+        res.status(status).json({
+            success: false,
+            code,
+            message,
+            error: status >= 500 && exposeErrors ? err.message : undefined
+        });
+    };
+}
+
+/**
+ * Wrap an async route handler so a rejected promise reaches the error
+ * middleware (Express 4 only catches synchronous throws)
+ */
+function asyncRoute(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+/**
+ * Express handler answering unknown API paths with a JSON 404
+ */
+function notFound(req, res) {
+    res.status(404).json({
+        success: false,
+        message: req.t('errors.noEndpoint', { method: req.method, url: req.originalUrl })
+    });
+}
+
+module.exports = {
+    ERROR_CODES,
+    errorCodes,
+    classifyError,
+    errorHandler,
+    asyncRoute,
+    notFound
+};
@@ -0,0 +1,264 @@
+const zlib = require('zlib');
+
+/**
+ * Export formats for GET /api/data/export
+ * - csv: RFC 4180, UTF-8 with BOM so Excel picks the right encoding
+ * - ndjson: one JSON object per line
+ * - xlsx: single-sheet Office Open XML workbook
+ */
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx'
+    }
+};
+
+// ============================================
+// CSV / NDJSON
+// ============================================
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value);
+}
+
+/**
+ * Escape one CSV cell
+ * - Quotes cells containing commas, quotes or line breaks
+ * - Prefixes cells starting with = + - @ so spreadsheets don't run them as
+ *   formulas (CSV injection); E.164 phone numbers (+ then digits) are left
+ *   alone so an export can be imported again
+ */
+function csvCell(value) {
+    let text = cellText(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^\+\d+$/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function writeCsv(res, records, columns) {
+    res.write('\uFEFF');
+    res.write(columns.map(csvCell).join(',') + '\r\n');
+    records.forEach(record => {
+        res.write(columns.map(column => csvCell(record[column])).join(',') + '\r\n');
+    });
+    res.end();
+}
+
+function writeNdjson(res, records, columns) {
+    records.forEach(record => {
+        const row = {};
+        columns.forEach(column => {
+            row[column] = record[column] === undefined ? null : record[column];
+        });
+        res.write(JSON.stringify(row) + '\n');
+    });
+    res.end();
+}
+
+// ============================================
+// XLSX
+// ============================================
+
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Build a zip archive from { name, data } entries (deflated)
+ */
+function zip(entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data }) => {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const content = Buffer.from(data, 'utf8');
+        const compressed = zlib.deflateRawSync(content);
+        const crc = crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);             // version needed
+        local.writeUInt16LE(0x0800, 6);         // UTF-8 names
+        local.writeUInt16LE(8, 8);              // deflate
+        local.writeUInt16LE(0, 10);             // time
+        local.writeUInt16LE(0x21, 12);          // date (1980-01-01)
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);           // version made by
+        central.writeUInt16LE(20, 6);           // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(0, 12);
+        central.writeUInt16LE(0x21, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, compressed);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+function xmlEscape(text) {
+    return text
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+function xlsxCell(value, ref, numeric) {
+    const text = cellText(value);
+    if (numeric && text !== '' && isFinite(Number(text))) {
+        return `<c r="${ref}"><v>${Number(text)}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+}
+
+/**
+ * Build an .xlsx workbook
+ * - numericColumns are written as numbers, everything else as text so
+ *   values like phone numbers keep their leading zeros
+ */
+function buildXlsx(records, columns, numericColumns = []) {
+    const rows = [columns, ...records.map(record => columns.map(column => record[column]))];
+    const sheetRows = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            const ref = `${columnLetter(c)}${r + 1}`;
+            return xlsxCell(value, ref, r > 0 && numericColumns.includes(columns[c]));
+        });
+        return `<row r="${r + 1}">${cells.join('')}</row>`;
+    });
+
+    const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const rel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const pkgRel = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+    return zip([
+        {
+            name: '[Content_Types].xml',
+            data: header +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            data: header +
+                `<Relationships xmlns="${pkgRel}">` +
+                `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            data: header +
+                `<workbook xmlns="${main}" xmlns:r="${rel}">` +
+                '<sheets><sheet name="Submissions" sheetId="1" r:id="rId1"/></sheets>' +
+                '</workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            data: header +
+                `<Relationships xmlns="${pkgRel}">` +
+                `<Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/worksheets/sheet1.xml',
+            data: header +
+                `<worksheet xmlns="${main}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+        }
+    ]);
+}
+
+// ============================================
+// ENTRY POINT
+// ============================================
+
+/**
+ * Send records in the given format as a file download
+ * - columns: output columns, in order
+ * - options.filename: base name without extension
+ * - options.numericColumns: columns written as numbers in xlsx
+ */
+function sendExport(res, format, records, columns, options = {}) {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `${options.filename || 'export'}.${extension}`;
+
+    res.status(200);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+        writeCsv(res, records, columns);
+    } else if (format === 'ndjson') {
+        writeNdjson(res, records, columns);
+    } else {
+        res.end(buildXlsx(records, columns, options.numericColumns));
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    csvCell,
+    buildXlsx,
+    sendExport
+};
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOCALE, getMessages } = require('./i18n');
+
+/**
+ * Form definitions
+ * - Every form is a JSON file in forms/ (env: FORMS_DIR); the file name is
+ *   the form id (forms/event.json is "event"), submitted to
+ *   POST /api/forms/<id>/submit and stored separately
+ * - forms/contact.json is required: it is the form the page shows first
+ *   and also answers at POST /api/submit, /api/data, /api/trash, ...
+ * - `ui` says how the page renders a field and `messages` overrides its
+ *   validation messages; everything else is a validation rule
+ *
+ * Rule keys (applied by public/validator.js on both sides, so they must
+ * stay JSON):
+ * - type: 'string' | 'integer' | 'boolean' | 'phone'
+ * - required, minLength, maxLength, min, max, pattern (+ flags), enum, equals
+ * - countryField: for phones, the field whose value picks the numbering
+ *   rules (see public/phone.js); valid numbers are stored as E.164
+ * - when: cross-field conditions, a list of
+ *   { if: { field, equals | notEquals | in | min | max }, then: { rules },
+ *     message? }; `then` is merged into the rule when `if` holds, and
+ *   `message` names the catalog key used if one of those rules fails
+ * - checks: async server-only checks run after the rules ('disposable',
+ *   'unique'; see validators.js)
+ *
+ * Definition shape:
+ * {
+ *   title, description,
+ *   uniqueField: "email",                  optional: one submission per value
+ *   attachments: true,                     optional: accept uploaded files
+ *   confirmation: true,                    optional: double opt-in; the link
+ *                                          goes to the uniqueField address
+ *   fields: {
+ *     <name>: {
+ *       type, required, minLength, ...     validation rules
+ *       ui: { control, label, placeholder, hint, options: { <value>: text } },
+ *       messages: { <locale>: { label, required, minLength, ... } }
+ *     }
+ *   }
+ * }
+ *
+ * Texts (title, description, label, placeholder, hint, option labels) are a
+ * catalog key, a plain string, or an object keyed by locale
+ * ({ "en": "Ticket", "fr": "Billet" }). The contact form's texts and
+ * messages are catalog keys (page.* and fields.<name>.* in locales/).
+ */
+
+const CONTACT_FORM_ID = 'contact';
+const FORM_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const RULE_TYPES = ['string', 'integer', 'boolean', 'phone'];
+const CONTROLS = ['text', 'email', 'tel', 'url', 'number', 'date', 'textarea', 'select', 'radio', 'checkbox'];
+
+// ============================================
+// LOADING
+// ============================================
+
+/**
+ * Check a definition read from configuration
+ * - Throws with the form id and the offending field, so a bad file stops
+ *   the server at startup instead of failing on the first submission
+ */
+function checkDefinition(id, definition) {
+    const fail = message => {
+        throw new Error(`Form "${id}": ${message}`);
+    };
+    if (!FORM_ID_PATTERN.test(id)) fail('id must be lower-case letters, digits and dashes');
+    if (!definition || typeof definition !== 'object') fail('definition must be an object');
+    if (!definition.title) fail('title is required');
+
+    const fields = definition.fields;
+    if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+        fail('fields must list at least one field');
+    }
+    Object.keys(fields).forEach(name => {
+        const field = fields[name];
+        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) fail(`field name "${name}" is not a valid identifier`);
+        if (!RULE_TYPES.includes(field.type)) {
+            fail(`field "${name}" type must be one of: ${RULE_TYPES.join(', ')}`);
+        }
+        if (!field.ui || !CONTROLS.includes(field.ui.control)) {
+            fail(`field "${name}" ui.control must be one of: ${CONTROLS.join(', ')}`);
+        }
+        if (!field.ui.label) fail(`field "${name}" needs ui.label`);
+        if (['select', 'radio'].includes(field.ui.control) && !Array.isArray(field.enum)) {
+            fail(`field "${name}" is a ${field.ui.control} and needs an enum of allowed values`);
+        }
+        if (field.pattern) {
+            try {
+                new RegExp(field.pattern, field.flags);
+            } catch (err) {
+                fail(`field "${name}" pattern is invalid: ${err.message}`);
+            }
+        }
+        if (field.type === 'phone' && !fields[field.countryField]) {
+            fail(`field "${name}" countryField must name another field`);
+        }
+        (field.when || []).forEach((entry, i) => {
+            if (!entry.if || !fields[entry.if.field] || entry.if.field === name) {
+                fail(`field "${name}" when[${i}].if.field must name another field`);
+            }
+            if (!entry.then || typeof entry.then !== 'object') {
+                fail(`field "${name}" when[${i}].then must be an object of rules`);
+            }
+        });
+        if (field.checks !== undefined && !Array.isArray(field.checks)) {
+            fail(`field "${name}" checks must be a list of check names`);
+        }
+    });
+    if (definition.uniqueField && !fields[definition.uniqueField]) {
+        fail(`uniqueField "${definition.uniqueField}" is not one of the fields`);
+    }
+    ['attachments', 'confirmation'].forEach(flag => {
+        if (definition[flag] !== undefined && typeof definition[flag] !== 'boolean') {
+            fail(`${flag} must be true or false`);
+        }
+    });
+    // The link goes to the unique address, and a resend looks it up there
+    if (definition.confirmation &&
+        !(definition.uniqueField && fields[definition.uniqueField].ui.control === 'email')) {
+        fail('confirmation needs a uniqueField whose ui.control is email');
+    }
+}
+
+/**
+ * Load every form definition
+ * - dir: directory of definitions (env: FORMS_DIR, default forms/)
+ * - Returns an array of definitions with their `id`, contact first
+ */
+function loadForms(dir = process.env.FORMS_DIR || path.join(__dirname, 'forms')) {
+    if (!fs.existsSync(path.join(dir, `${CONTACT_FORM_ID}.json`))) {
+        throw new Error(`Form "${CONTACT_FORM_ID}": ${path.join(dir, `${CONTACT_FORM_ID}.json`)} is missing`);
+    }
+    const forms = [];
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            const id = path.basename(file, '.json');
+            let definition;
+            try {
+                definition = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            } catch (err) {
+                throw new Error(`Form "${id}": ${file} is not valid JSON (${err.message})`);
+            }
+            checkDefinition(id, definition);
+            forms.push({ ...definition, id });
+        });
+    return forms.sort((a, b) => (b.id === CONTACT_FORM_ID) - (a.id === CONTACT_FORM_ID));
+}
+
+// ============================================
+// LOCALIZATION
+// ============================================
+
+/**
+ * Resolve a text for a locale
+ * - { en, fr, ... } objects pick the locale, then English
+ * - Strings that are catalog keys are translated; other strings are used as-is
+ */
+function localText(text, locale, catalog) {
+    if (text === undefined || text === null) return null;
+    if (typeof text === 'object') {
+        return text[locale] || text[DEFAULT_LOCALE] || Object.values(text)[0] || null;
+    }
+    return catalog[text] || text;
+}
+
+/**
+ * Message catalog for validating a form in a locale
+ * - The contact form uses the locale catalog as it is
+ * - Other forms drop the contact form's field messages and add their own:
+ *   fields.<name>.label is messages.label, else the page label without a
+ *   trailing "*"
+ */
+function formCatalog(form, locale) {
+    const base = getMessages(locale);
+    if (form.id === CONTACT_FORM_ID) {
+        return base;
+    }
+    const catalog = {};
+    Object.keys(base).forEach(key => {
+        if (!key.startsWith('fields.')) catalog[key] = base[key];
+    });
+    Object.keys(form.fields).forEach(name => {
+        const field = form.fields[name];
+        const overrides = field.messages
+            ? { ...field.messages[DEFAULT_LOCALE], ...field.messages[locale] }
+            : {};
+        const pageLabel = localText(field.ui.label, locale, base);
+        catalog[`fields.${name}.label`] = pageLabel.replace(/\s*\*\s*$/, '');
+        Object.keys(overrides).forEach(key => {
+            catalog[`fields.${name}.${key}`] = overrides[key];
+        });
+    });
+    return catalog;
+}
+
+/**
+ * Validation schema of a form ({ fields } with rules only), as used by
+ * public/validator.js and validators.js
+ * - The uniqueField gets the 'unique' check
+ */
+function formRules(form) {
+    const fields = {};
+    Object.keys(form.fields).forEach(name => {
+        const { ui, messages, ...rule } = form.fields[name];
+        if (name === form.uniqueField && !(rule.checks || []).includes('unique')) {
+            rule.checks = [...(rule.checks || []), 'unique'];
+        }
+        fields[name] = rule;
+    });
+    return { fields };
+}
+
+/**
+ * Where a form is submitted
+ */
+function submitUrl(form) {
+    return form.id === CONTACT_FORM_ID ? '/api/submit' : `/api/forms/${form.id}/submit`;
+}
+
+/**
+ * Short description of a form for GET /api/forms
+ */
+function formSummary(form, locale) {
+    const catalog = getMessages(locale);
+    return {
+        id: form.id,
+        title: localText(form.title, locale, catalog),
+        description: localText(form.description, locale, catalog),
+        submitUrl: submitUrl(form)
+    };
+}
+
+/**
+ * Everything the page needs to render and check a form, in one locale
+ * - fields: rules plus a resolved `ui` (texts translated, options as a
+ *   [{ value, label }] list in enum order)
+ * - messages: the form's field and default validation messages
+ */
+function publicForm(form, locale) {
+    const base = getMessages(locale);
+    const catalog = formCatalog(form, locale);
+    const fields = {};
+    Object.keys(form.fields).forEach(name => {
+        const { ui, messages, ...rule } = form.fields[name];
+        const options = rule.enum
+            ? rule.enum.map(value => ({
+                value: String(value),
+                label: localText(ui.options && ui.options[value], locale, base) || String(value)
+            }))
+            : undefined;
+        fields[name] = {
+            ...rule,
+            ui: {
+                control: ui.control,
+                label: localText(ui.label, locale, base),
+                placeholder: localText(ui.placeholder, locale, base),
+                hint: localText(ui.hint, locale, base),
+                options
+            }
+        };
+    });
+
+    const messages = {};
+    Object.keys(catalog).forEach(key => {
+        if (key.startsWith('fields.') || key.startsWith('default.')) messages[key] = catalog[key];
+    });
+
+    return {
+        ...formSummary(form, locale),
+        uniqueField: form.uniqueField || null,
+        fields,
+        messages
+    };
+}
+
+module.exports = {
+    CONTACT_FORM_ID,
+    CONTROLS,
+    checkDefinition,
+    loadForms,
+    localText,
+    formCatalog,
+    formRules,
+    submitUrl,
+    formSummary,
+    publicForm
+};
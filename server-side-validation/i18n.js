@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Message catalogs and locale negotiation
+ * - One flat JSON catalog per locale in locales/<locale>.json
+ * - English is the fallback for missing keys and unsupported locales
+ */
+
+const DEFAULT_LOCALE = 'en';
+const LOCALES_DIR = path.join(__dirname, 'locales');
+
+const catalogs = {};
+fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+        const locale = path.basename(file, '.json');
+        catalogs[locale] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+    });
+
+const SUPPORTED_LOCALES = [DEFAULT_LOCALE, ...Object.keys(catalogs).filter(l => l !== DEFAULT_LOCALE)];
+
+/**
+ * Pick the locale for a request
+ * - An explicit `lang` query parameter wins (e.g. ?lang=fr or ?lang=fr-CA)
+ * - Otherwise the best match from the Accept-Language header
+ */
+function negotiateLocale(req) {
+    const requested = typeof req.query.lang === 'string' ? req.query.lang.toLowerCase() : '';
+    if (requested) {
+        const primary = requested.split('-')[0];
+        if (catalogs[requested]) return requested;
+        if (catalogs[primary]) return primary;
+    }
+    return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+}
+
+/**
+ * Full catalog for a locale, with English filling any gaps
+ */
+function getMessages(locale) {
+    return { ...catalogs[DEFAULT_LOCALE], ...(catalogs[locale] || {}) };
+}
+
+/**
+ * Translate a key, filling `{name}` placeholders from params
+ * - Unknown keys are returned as-is
+ */
+function translate(locale, key, params = {}) {
+    const template = (catalogs[locale] && catalogs[locale][key]) ||
+        catalogs[DEFAULT_LOCALE][key] || key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        (params[name] === undefined ? match : String(params[name]))
+    );
+}
+
+/**
+ * Express middleware setting req.locale, req.t() and Content-Language
+ */
+function localize(req, res, next) {
+    req.locale = negotiateLocale(req);
+    req.t = (key, params) => translate(req.locale, key, params);
+    res.set('Content-Language', req.locale);
+    next();
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    negotiateLocale,
+    getMessages,
+    translate,
+    localize
+};
@@ -0,0 +1,121 @@
+/**
+ * Bulk import helpers for POST /api/data/import
+ * - CSV: first row is the header with field names (same as export)
+ * - JSON: an array of objects, or { records: [...] }
+ */
+
+/**
+ * Parse CSV text into an array of row arrays
+ * - RFC 4180: quoted cells may contain commas, quotes ("") and line breaks
+ * - Accepts CRLF or LF line endings and a leading UTF-8 BOM
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// csvCell's formula guard (see export.js): a ' before = + - @ tab or CR
+const FORMULA_GUARD = /^'(?=[=+\-@\t\r])/;
+
+/**
+ * Convert CSV text into objects keyed by the header row
+ * - Drops the ' export.js puts before formula-like cells, so an export
+ *   imports back unchanged; a value typed with that leading ' loses it
+ */
+function csvToObjects(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        return [];
+    }
+    const keys = header.map(key => key.trim());
+    return rows.map(row => {
+        const object = {};
+        keys.forEach((key, index) => {
+            object[key] = row[index] === undefined ? '' : row[index].replace(FORMULA_GUARD, '');
+        });
+        return object;
+    });
+}
+
+/**
+ * Coerce CSV (or multipart form) strings to the types the schema expects
+ * - boolean fields accept true/yes/y/1 (case-insensitive)
+ */
+function coerceRow(row, schema) {
+    const coerced = { ...row };
+    Object.keys(schema.fields).forEach(name => {
+        if (schema.fields[name].type === 'boolean' && typeof coerced[name] === 'string') {
+            coerced[name] = /^(true|yes|y|1)$/i.test(coerced[name].trim());
+        }
+    });
+    return coerced;
+}
+
+/**
+ * Read import rows from a parsed request body
+ * - Returns an array of plain objects
+ * - Throws with a readable message if the body is not a CSV string or JSON array
+ */
+function readImportRows(body, schema) {
+    if (typeof body === 'string') {
+        return csvToObjects(body).map(row => coerceRow(row, schema));
+    }
+    const rows = Array.isArray(body) ? body : body && body.records;
+    if (!Array.isArray(rows)) {
+        throw new Error('Expected a CSV body or a JSON array of records');
+    }
+    rows.forEach((row, index) => {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            throw new Error(`Row ${index + 1} is not an object`);
+        }
+    });
+    return rows;
+}
+
+module.exports = {
+    parseCsv,
+    csvToObjects,
+    coerceRow,
+    readImportRows
+};
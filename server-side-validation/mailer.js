@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./observability');
+
+/**
+ * Outgoing mail with pluggable transports
+ * - console: log each message as one structured log entry (default, for development)
+ * - file: write each message as an .eml file into a directory
+ * - smtp: send through an SMTP server (nodemailer)
+ *
+ * Every transport has send({ to, subject, text }) returning a Promise of
+ * { messageId }.
+ */
+
+const DEFAULT_FROM = 'no-reply@localhost';
+
+function messageId() {
+    return `<${crypto.randomBytes(12).toString('hex')}@server-side-validation>`;
+}
+
+/**
+ * Plain-text RFC 5322 rendering used by the file transport
+ */
+function formatMessage(from, message, id) {
+    return [
+        `Message-ID: ${id}`,
+        `Date: ${new Date().toUTCString()}`,
+        `From: ${from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+    ].join('\r\n');
+}
+
+class ConsoleTransport {
+    constructor(from, log = createLogger()) {
+        this.from = from;
+        this.log = log;
+    }
+
+    send(message) {
+        const id = messageId();
+        this.log.info('mail (console transport)', {
+            messageId: id,
+            from: this.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text
+        });
+        return Promise.resolve({ messageId: id });
+    }
+}
+
+class FileTransport {
+    constructor(from, dir) {
+        this.from = from;
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    send(message) {
+        const id = messageId();
+        const file = path.join(this.dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+        return fs.promises.writeFile(file, formatMessage(this.from, message, id))
+            .then(() => ({ messageId: id, file }));
+    }
+}
+
+class SmtpTransport {
+    constructor(from, options) {
+        // Loaded on demand so the other transports work without it
+        const nodemailer = require('nodemailer');
+        this.from = from;
+        this.transporter = nodemailer.createTransport(options);
+    }
+
+    send(message) {
+        return this.transporter.sendMail({ from: this.from, ...message })
+            .then(info => ({ messageId: info.messageId }));
+    }
+}
+
+/**
+ * Create the mail transport
+ * - options.transport: console | file | smtp            (env: MAIL_TRANSPORT)
+ * - options.from: sender address                         (env: MAIL_FROM)
+ * - options.dir: output directory for file               (env: MAIL_DIR)
+ * - options.log: logger from createLogger, used by console
+ * - smtp settings from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ */
+function createMailer(options = {}) {
+    const transport = options.transport || process.env.MAIL_TRANSPORT || 'console';
+    const from = options.from || process.env.MAIL_FROM || DEFAULT_FROM;
+
+    switch (transport) {
+        case 'console':
+            return new ConsoleTransport(from, options.log);
+        case 'file':
+            return new FileTransport(from,
+                options.dir || process.env.MAIL_DIR || path.join(__dirname, 'data', 'mail'));
+        case 'smtp':
+            return new SmtpTransport(from, options.smtp || {
+                host: process.env.SMTP_HOST || 'localhost',
+                port: parseInt(process.env.SMTP_PORT || '587'),
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined
+            });
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (use console, file or smtp)`);
+    }
+}
+
+module.exports = {
+    ConsoleTransport,
+    FileTransport,
+    SmtpTransport,
+    createMailer
+};
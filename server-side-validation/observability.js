@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+
+/**
+ * Request logging, metrics and health checks
+ * - Logs are JSON, one object per line on stdout (errors on stderr), so a
+ *   log shipper can parse them without patterns
+ * - Every request gets an ID (taken from X-Request-Id when the caller sends
+ *   a sane one), echoed back in the X-Request-Id response header
+ * - Metrics are kept in memory and rendered in the Prometheus text format
+ */
+
+// ============================================
+// LOGGING
+// ============================================
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Structured logger
+ * - options.level: lowest level written (env: LOG_LEVEL, default info)
+ * - log.info(msg, fields), log.warn(...), log.error(...), log.debug(...)
+ * - An Error in fields.err is written as { name, message, stack }
+ */
+function createLogger(options = {}) {
+    const level = options.level || process.env.LOG_LEVEL || 'info';
+    const threshold = LEVELS[level] || LEVELS.info;
+
+    function write(entryLevel, msg, fields = {}) {
+        if (LEVELS[entryLevel] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: entryLevel, msg, ...fields };
+        if (fields.err instanceof Error) {
+            entry.err = { name: fields.err.name, message: fields.err.message, stack: fields.err.stack };
+        }
+        const line = JSON.stringify(entry) + '\n';
+        if (LEVELS[entryLevel] >= LEVELS.warn) {
+            process.stderr.write(line);
+        } else {
+            process.stdout.write(line);
+        }
+    }
+
+    const log = {};
+    Object.keys(LEVELS).forEach(name => {
+        log[name] = (msg, fields) => write(name, msg, fields);
+    });
+    return log;
+}
+
+// ============================================
+// METRICS
+// ============================================
+
+// Seconds; suits an API answering in milliseconds with slow exports
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+    const pairs = Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function labelsKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])));
+}
+
+function pickLabels(labelNames, labels) {
+    const picked = {};
+    labelNames.forEach(name => {
+        picked[name] = labels[name] === undefined ? '' : labels[name];
+    });
+    return picked;
+}
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.type = 'counter';
+        this.values = new Map();
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = labelsKey(this.labelNames, labels);
+        const entry = this.values.get(key) || { labels: pickLabels(this.labelNames, labels), value: 0 };
+        entry.value += amount;
+        this.values.set(key, entry);
+    }
+
+    samples() {
+        return Array.from(this.values.values())
+            .map(entry => `${this.name}${labelString(entry.labels)} ${entry.value}`);
+    }
+}
+
+/**
+ * Gauge whose values are read when metrics are rendered
+ * - collect() returns a number, or an array of { labels, value }
+ */
+class Gauge {
+    constructor(name, help, collect) {
+        this.name = name;
+        this.help = help;
+        this.type = 'gauge';
+        this.collect = collect;
+    }
+
+    samples() {
+        const result = this.collect();
+        const entries = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+        return entries.map(entry => `${this.name}${labelString(entry.labels)} ${entry.value}`);
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = buckets;
+        this.type = 'histogram';
+        this.values = new Map();
+    }
+
+    observe(labels, value) {
+        const key = labelsKey(this.labelNames, labels);
+        let entry = this.values.get(key);
+        if (!entry) {
+            entry = {
+                labels: pickLabels(this.labelNames, labels),
+                counts: this.buckets.map(() => 0),
+                sum: 0,
+                count: 0
+            };
+            this.values.set(key, entry);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    samples() {
+        const lines = [];
+        this.values.forEach(entry => {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${labelString({ ...entry.labels, le: bound })} ${entry.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${labelString({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${this.name}_sum${labelString(entry.labels)} ${entry.sum}`);
+            lines.push(`${this.name}_count${labelString(entry.labels)} ${entry.count}`);
+        });
+        return lines;
+    }
+}
+
+/**
+ * Collection of metrics rendered together on GET /metrics
+ */
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames) {
+        return this.add(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, collect) {
+        return this.add(new Gauge(name, help, collect));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.add(new Histogram(name, help, labelNames, buckets));
+    }
+
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Prometheus text exposition format (version 0.0.4)
+     */
+    render() {
+        return this.metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.samples()
+        ].join('\n')).join('\n') + '\n';
+    }
+}
+
+Registry.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Registry with the standard HTTP and process metrics
+ * - http_requests_total{method,route,status}
+ * - http_request_duration_seconds{method,route}
+ * - process memory, uptime and start time
+ */
+function createMetrics() {
+    const registry = new Registry();
+    const startTime = Math.floor(Date.now() / 1000);
+
+    registry.requests = registry.counter('http_requests_total',
+        'HTTP requests by method, route and status', ['method', 'route', 'status']);
+    registry.duration = registry.histogram('http_request_duration_seconds',
+        'HTTP request latency in seconds', ['method', 'route']);
+    registry.gauge('process_start_time_seconds', 'Start time of the process (Unix seconds)', () => startTime);
+    registry.gauge('process_uptime_seconds', 'Seconds since the process started', () => process.uptime());
+    registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes',
+        () => process.memoryUsage().rss);
+    registry.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
+    return registry;
+}
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Route label for metrics
+ * - The matched route pattern (/api/data/:id), so IDs don't create a new
+ *   series per record
+ * - Requests no route handled (static files, 404s, unparsable bodies) are
+ *   grouped together
+ */
+function routeLabel(req) {
+    return req.route ? req.baseUrl + req.route.path : '(unmatched)';
+}
+
+/**
+ * Express middleware: request ID, access log and HTTP metrics
+ * - options.log: logger from createLogger
+ * - options.metrics: registry from createMetrics
+ * - options.quiet: paths counted in metrics but not logged (probes)
+ * - Sets req.id and req.log (the logger with requestId added)
+ */
+function requestLogger({ log, metrics, quiet = [] }) {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        res.set('X-Request-Id', req.id);
+
+        req.log = {};
+        Object.keys(LEVELS).forEach(name => {
+            req.log[name] = (msg, fields) => log[name](msg, { requestId: req.id, ...fields });
+        });
+
+        let done = false;
+        const finish = () => {
+            if (done) return;
+            done = true;
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            const route = routeLabel(req);
+            // 499: the client went away before a response was sent
+            const status = res.writableFinished ? res.statusCode : 499;
+
+            metrics.requests.inc({ method: req.method, route, status });
+            metrics.duration.observe({ method: req.method, route }, seconds);
+
+            if (quiet.includes(req.path)) return;
+            const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+            log[level]('request', {
+                requestId: req.id,
+                method: req.method,
+                url: req.originalUrl,
+                route,
+                status,
+                durationMs: Math.round(seconds * 1e6) / 1e3,
+                bytes: parseInt(res.get('Content-Length')) || 0,
+                ip: req.ip,
+                userAgent: req.get('User-Agent') || null,
+                user: req.user ? req.user.username : null
+            });
+        };
+        res.on('finish', finish);
+        res.on('close', finish);
+        next();
+    };
+}
+
+// ============================================
+// HEALTH
+// ============================================
+
+/**
+ * Express handler for a readiness check
+ * - checks: { name: fn } where fn throws (or returns a rejected promise)
+ *   when that dependency is not usable
+ * - Answers 200 { status: 'ok' } when every check passes, else 503 with
+ *   the failing checks' messages
+ */
+function healthCheck(checks) {
+    return async (req, res) => {
+        const results = {};
+        let healthy = true;
+        for (const name of Object.keys(checks)) {
+            try {
+                await checks[name]();
+                results[name] = { status: 'ok' };
+            } catch (err) {
+                healthy = false;
+                results[name] = { status: 'error', message: err.message };
+            }
+        }
+        res.set('Cache-Control', 'no-store');
+        res.status(healthy ? 200 : 503).json({
+            status: healthy ? 'ok' : 'error',
+            uptime: Math.round(process.uptime()),
+            checks: results
+        });
+    };
+}
+
+module.exports = {
+    createLogger,
+    Registry,
+    createMetrics,
+    requestLogger,
+    healthCheck
+};
@@ -0,0 +1,1552 @@
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./query');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('./i18n');
+const { HONEYPOT_FIELD, TOKEN_FIELD } = require('./spam');
+const { SIGNATURE_HEADER } = require('./webhooks');
+const { ERROR_CODES } = require('./errors');
+const { CONTACT_FORM_ID, formCatalog } = require('./forms');
+const { version } = require('./package.json');
+
+/**
+ * OpenAPI 3.1 description of the HTTP API
+ * - buildSpec() generates the document from the form definitions
+ *   (forms/*.json), so field rules are only written down once
+ * - createSpecValidator() checks live requests and responses against it;
+ *   server.js turns it on in development mode
+ */
+
+// ============================================
+// SCHEMA HELPERS
+// ============================================
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * JSON Schema for one form field
+ * - strict: include the validation constraints (request bodies); records
+ *   in responses only promise the types, since old rows may predate a rule
+ */
+function fieldSchema(name, rule, labels, strict) {
+    const schema = { description: labels[`fields.${name}.label`] || name };
+
+    if (rule.type === 'integer') {
+        // The form posts numbers as strings; both are accepted
+        schema.type = ['integer', 'string'];
+        if (strict && rule.min !== undefined) schema.minimum = rule.min;
+        if (strict && rule.max !== undefined) schema.maximum = rule.max;
+    } else if (rule.type === 'boolean') {
+        schema.type = 'boolean';
+        if (strict && rule.equals !== undefined) schema.const = rule.equals;
+    } else {
+        schema.type = 'string';
+        if (strict) {
+            ['minLength', 'maxLength', 'pattern', 'enum'].forEach(key => {
+                if (rule[key] !== undefined) schema[key] = rule[key];
+            });
+        }
+    }
+
+    if (rule.type === 'phone') {
+        schema.description += `; national format or +<country code>, checked against the ` +
+            `numbering rules of "${rule.countryField}" and stored as E.164`;
+        if (strict) schema['x-country-field'] = rule.countryField;
+    }
+
+    // Cross-field conditions and server checks are described, not enforced
+    if (strict && rule.when) {
+        const operators = { equals: '=', notEquals: '!=', in: 'in', min: '>=', max: '<=' };
+        rule.when.forEach(entry => {
+            const condition = Object.keys(operators).filter(key => entry.if[key] !== undefined)
+                .map(key => `${entry.if.field} ${operators[key]} ${JSON.stringify(entry.if[key])}`)
+                .join(' and ');
+            schema.description += `; when ${condition}: ${JSON.stringify(entry.then)}`;
+        });
+    }
+    if (strict && rule.checks) {
+        schema.description += `; also checked on the server: ${rule.checks.join(', ')}`;
+    }
+
+    // Optional fields may be sent empty
+    if (strict && !rule.required) {
+        return { description: schema.description, anyOf: [{ type: 'null' }, { const: '' }, schema] };
+    }
+    return schema;
+}
+
+/**
+ * Object schema with every form field
+ * - required: list the schema's required fields
+ */
+function formFieldsSchema(formSchema, labels, strict, required) {
+    const properties = {};
+    Object.keys(formSchema.fields).forEach(name => {
+        properties[name] = fieldSchema(name, formSchema.fields[name], labels, strict);
+    });
+    const schema = { type: 'object', properties };
+    if (required) {
+        schema.required = Object.keys(formSchema.fields).filter(name => formSchema.fields[name].required);
+    }
+    return schema;
+}
+
+/**
+ * Paginated list body (see listBody in server.js)
+ */
+function listSchema(item) {
+    return {
+        type: 'object',
+        required: ['count', 'total', 'page', 'limit', 'totalPages', 'links', 'nextCursor', 'data'],
+        properties: {
+            count: { type: 'integer' },
+            total: { type: 'integer' },
+            page: { type: ['integer', 'null'], description: 'null when paging with a cursor' },
+            limit: { type: 'integer' },
+            totalPages: { type: 'integer' },
+            links: {
+                type: 'object',
+                properties: {
+                    self: { type: 'string' },
+                    next: { type: ['string', 'null'] },
+                    prev: { type: ['string', 'null'] }
+                }
+            },
+            nextCursor: { type: ['string', 'null'] },
+            data: { type: 'array', items: ref(item) }
+        }
+    };
+}
+
+/**
+ * Response bodies shared by several operations
+ */
+function success(properties, required = []) {
+    return {
+        type: 'object',
+        required: ['success', ...required],
+        properties: { success: { const: true }, ...properties }
+    };
+}
+
+/**
+ * Fields of a webhook subscription as returned by the API
+ */
+function webhookProperties(events) {
+    return {
+        id: { type: 'integer' },
+        url: { type: 'string', format: 'uri' },
+        events: { type: 'array', items: { type: 'string', enum: events } },
+        description: { type: 'string' },
+        active: { type: 'boolean' },
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: ['string', 'null'], format: 'date-time' }
+    };
+}
+
+/**
+ * Request body for creating (url required) or updating a subscription
+ */
+function webhookInputSchema(events, create) {
+    const schema = {
+        type: 'object',
+        properties: {
+            url: { type: 'string', format: 'uri', pattern: '^https?://' },
+            events: {
+                type: 'array',
+                items: { type: 'string', enum: events },
+                description: 'Defaults to every event'
+            },
+            description: { type: 'string' },
+            secret: { type: 'string', minLength: 16, description: 'Generated when omitted' },
+            active: { type: 'boolean', default: true }
+        }
+    };
+    if (create) schema.required = ['url'];
+    return schema;
+}
+
+// ============================================
+// PARAMETER AND RESPONSE HELPERS
+// ============================================
+
+const json = schema => ({ 'application/json': { schema } });
+
+const response = (description, schema) => ({ description, content: json(schema) });
+
+const errorResponses = {
+    400: { $ref: '#/components/responses/BadRequest' },
+    401: { $ref: '#/components/responses/Unauthorized' },
+    403: { $ref: '#/components/responses/Forbidden' },
+    404: { $ref: '#/components/responses/NotFound' },
+    409: { $ref: '#/components/responses/Conflict' },
+    429: { $ref: '#/components/responses/TooManyRequests' },
+    500: { $ref: '#/components/responses/ServerError' }
+};
+
+/**
+ * Pick shared error responses by status code
+ */
+function errors(...codes) {
+    const picked = {};
+    codes.forEach(code => {
+        picked[code] = errorResponses[code];
+    });
+    return picked;
+}
+
+const idParam = { $ref: '#/components/parameters/id' };
+
+/**
+ * Sort parameter of the list and export endpoints (see query.js)
+ */
+function sortParam(fields) {
+    const fieldList = fields.join('|');
+    return {
+        name: 'sort',
+        in: 'query',
+        description: 'Comma-separated fields, `-` prefix for descending (e.g. `-timestamp,fullName`)',
+        schema: { type: 'string', pattern: `^-?(${fieldList})(,-?(${fieldList}))*$` }
+    };
+}
+
+/**
+ * Query parameters of the list endpoints
+ */
+function listParams(fields) {
+    return [
+        { $ref: '#/components/parameters/page' },
+        { $ref: '#/components/parameters/limit' },
+        { $ref: '#/components/parameters/cursor' },
+        sortParam(fields)
+    ];
+}
+
+/**
+ * Filters can't be declared as OpenAPI parameters (`age>=30` is not a
+ * name=value pair), so they are described in the operation text
+ */
+function filterNote(fields, example) {
+    return `Filter on ${fields.map(f => `\`${f}\``).join(', ')} with =, !=, >, >=, <, <= ` +
+        `written straight into the query string, e.g. \`?${example}\`.`;
+}
+
+// ============================================
+// DOCUMENT
+// ============================================
+
+/**
+ * Generate the OpenAPI document
+ * - options.auditFields, deliveryFields: sortable/filterable fields
+ * - options.exportFormats: keys of EXPORT_FORMATS (export.js)
+ * - options.webhookEvents: WEBHOOK_EVENTS (webhooks.js)
+ * - options.attachmentRules: upload limits and types (attachments.js)
+ * - options.forms: every form as server.js holds it ({ definition, rules,
+ *   listFields, trashFields }); each gets its paths below /api/forms/<id>,
+ *   and the contact form also below /api
+ */
+function buildSpec(options) {
+    const {
+        auditFields, deliveryFields, exportFormats, webhookEvents, attachmentRules, forms
+    } = options;
+    const recordMeta = {
+        id: { type: 'integer' },
+        timestamp: { type: 'string', format: 'date-time' },
+        updatedAt: { type: ['string', 'null'], format: 'date-time' },
+        revision: { type: 'integer' }
+    };
+    const confirmationMeta = {
+        status: {
+            type: 'string',
+            enum: ['pending', 'confirmed'],
+            description: 'pending until the emailed confirmation link is followed'
+        },
+        confirmedAt: { type: ['string', 'null'], format: 'date-time' },
+        confirmationExpiresAt: { type: ['string', 'null'], format: 'date-time' }
+    };
+    // GET and POST /api/confirm
+    const confirmResult = success({
+        message: { type: 'string' },
+        data: {
+            type: 'object',
+            properties: {
+                form: { type: 'string' },
+                id: { type: 'integer' },
+                status: confirmationMeta.status,
+                confirmedAt: confirmationMeta.confirmedAt
+            }
+        }
+    }, ['data']);
+    // Records stored before email confirmation existed lack the status fields
+    const recordRequired = ['id', 'timestamp', 'updatedAt', 'revision'];
+
+    const spamFields = {
+        [HONEYPOT_FIELD]: {
+            description: 'Honeypot: must be left empty',
+            anyOf: [{ type: 'null' }, { const: '' }]
+        },
+        [TOKEN_FIELD]: {
+            type: 'string',
+            description: 'Token from GET /api/form-token; required unless MIN_FILL_TIME_MS=0'
+        }
+    };
+
+    const attachmentTypes = attachmentRules.types.map(type => type.ext).join(', ');
+    const attachmentsField = {
+        type: 'array',
+        maxItems: attachmentRules.maxFiles,
+        items: { type: 'string', format: 'binary' },
+        description: `Up to ${attachmentRules.maxFiles} files of at most ` +
+            `${attachmentRules.maxFileSize} bytes each (${attachmentTypes}); ` +
+            'the type is detected from the file contents'
+    };
+
+    const contactExample = {
+        fullName: 'Jane Doe',
+        email: 'jane@example.com',
+        phone: '+44 20 7946 0018',
+        age: 34,
+        country: 'UK',
+        website: 'https://example.com',
+        message: 'Hello, I would like to know more.',
+        agreement: true
+    };
+
+    const pagingNote = 'Paginate with page/limit or with the nextCursor of the previous page.';
+    const exportFormatParam = defaultFormat => ({
+        name: 'format',
+        in: 'query',
+        schema: { type: 'string', enum: exportFormats, default: defaultFormat }
+    });
+    const exportContent = {
+        'text/csv': { schema: { type: 'string' } },
+        'application/x-ndjson': { schema: { type: 'string' } },
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+            schema: { type: 'string', format: 'binary' }
+        }
+    };
+
+    /**
+     * Paths and schemas of one form's routes (see formRoutes in server.js)
+     * - base: /api for the contact form, /api/forms/<id> for every form
+     * - The contact form's schemas keep their plain names (Record,
+     *   Submission, ...); other forms' get ".<id>" appended
+     */
+    function formSpec(form, base) {
+        const { definition, rules, listFields, trashFields } = form;
+        const id = definition.id;
+        const name = kind => (id === CONTACT_FORM_ID ? kind : `${kind}.${id}`);
+        const formLabels = formCatalog(definition, DEFAULT_LOCALE);
+        const example = id === CONTACT_FORM_ID ? contactExample : undefined;
+        const about = id === CONTACT_FORM_ID ? '' : ` "${id}"`;
+
+        const recordFields = formFieldsSchema(rules, formLabels, false, false).properties;
+        const recordProperties = {
+            ...recordMeta,
+            ...(definition.confirmation ? confirmationMeta : {}),
+            ...recordFields,
+            ...(definition.attachments ? { attachments: { type: 'array', items: ref('Attachment') } } : {})
+        };
+        const submission = formFieldsSchema(rules, formLabels, true, true);
+        submission.properties = { ...submission.properties, ...spamFields };
+
+        const schemas = {
+            [name('Submission')]: submission,
+            [name('FormFields')]: formFieldsSchema(rules, formLabels, true, true),
+            [name('FormFieldsPatch')]: formFieldsSchema(rules, formLabels, true, false),
+            [name('Record')]: {
+                type: 'object',
+                required: recordRequired,
+                properties: recordProperties
+            },
+            [name('TrashedRecord')]: {
+                type: 'object',
+                required: [...recordRequired, 'deletedAt'],
+                properties: { ...recordProperties, deletedAt: { type: 'string', format: 'date-time' } }
+            }
+        };
+        const recordResult = success({ message: { type: 'string' }, data: ref(name('Record')) }, ['data']);
+        const trashedResult = success({ message: { type: 'string' }, data: ref(name('TrashedRecord')) }, ['data']);
+
+        const submitContent = {
+            'application/json': {
+                schema: ref(name('Submission')),
+                example: example && { ...example, [HONEYPOT_FIELD]: '', [TOKEN_FIELD]: '<token>' }
+            }
+        };
+        if (definition.attachments) {
+            submitContent['multipart/form-data'] = {
+                schema: {
+                    ...submission,
+                    properties: { ...submission.properties, [attachmentRules.field]: attachmentsField }
+                }
+            };
+        }
+
+        const paths = {};
+        paths[`${base}/submit`] = {
+            post: {
+                tags: ['Form'],
+                summary: `Submit the${about} form`,
+                description: `Validated with the rules in forms/${id}.json` +
+                    (definition.uniqueField ? `; one submission per ${definition.uniqueField}` : '') +
+                    '. Rejects spam; rate limited per IP and per email.' +
+                    (definition.attachments
+                        ? ' Send multipart/form-data to include file attachments; booleans are then ' +
+                            'written as true/false.'
+                        : '') +
+                    (definition.confirmation
+                        ? ' The record stays pending until the emailed link is followed.'
+                        : ''),
+                parameters: [{ $ref: '#/components/parameters/lang' }],
+                requestBody: { required: true, content: submitContent },
+                responses: {
+                    200: response('Stored', success({
+                        message: { type: 'string' },
+                        form: { const: id },
+                        ...(definition.confirmation ? { status: confirmationMeta.status } : {}),
+                        data: {
+                            type: 'object',
+                            description: 'Echo of the stored fields in the request\'s language: ' +
+                                'booleans are "Yes"/"No", empty fields "(Not provided)" and ' +
+                                'attachments are listed by name or "(None)" (English wording shown)'
+                        },
+                        recordId: { type: 'integer' }
+                    }, ['form', 'data', 'recordId'])),
+                    ...errors(400, 404, 429, 500)
+                }
+            }
+        };
+        if (definition.confirmation) {
+            paths[`${base}/confirm/resend`] = {
+                post: {
+                    tags: ['Form'],
+                    summary: `Email a new confirmation link for the${about} form`,
+                    description: 'Answers the same whether or not the email is pending, so it cannot ' +
+                        'be used to find registered addresses. Older links stop working.',
+                    parameters: [{ $ref: '#/components/parameters/lang' }],
+                    requestBody: {
+                        required: true,
+                        content: json({
+                            type: 'object',
+                            required: ['email'],
+                            properties: { email: { type: 'string' } }
+                        })
+                    },
+                    responses: {
+                        200: response('Accepted', success({ message: { type: 'string' } })),
+                        ...errors(400, 404, 429, 500)
+                    }
+                }
+            };
+        }
+        paths[`${base}/data`] = {
+            get: {
+                tags: ['Records'],
+                summary: `List${about} records`,
+                description: `${pagingNote} ${filterNote(listFields, 'id>=10')} q searches the text fields.`,
+                security: [{ bearerAuth: [] }],
+                parameters: [...listParams(listFields), { $ref: '#/components/parameters/q' }],
+                responses: {
+                    200: response('Page of records', listSchema(name('Record'))),
+                    ...errors(400, 401, 403, 404, 500)
+                }
+            },
+            delete: {
+                tags: ['Records'],
+                summary: `Move all${about} records to the trash`,
+                security: [{ bearerAuth: [] }],
+                responses: {
+                    200: response('Trashed', ref('CountResult')),
+                    ...errors(401, 403, 404, 500)
+                }
+            }
+        };
+        paths[`${base}/data/export`] = {
+            get: {
+                tags: ['Records'],
+                summary: `Download${about} records`,
+                description: `Same sort, filters and search as GET ${base}/data, without pagination.`,
+                security: [{ bearerAuth: [] }],
+                parameters: [
+                    exportFormatParam('csv'),
+                    {
+                        name: 'fields',
+                        in: 'query',
+                        description: 'Comma-separated columns; output keeps the default column order',
+                        schema: { type: 'string' }
+                    },
+                    sortParam(listFields),
+                    { $ref: '#/components/parameters/q' }
+                ],
+                responses: {
+                    200: { description: 'File download', content: exportContent },
+                    ...errors(400, 401, 403, 404, 500)
+                }
+            }
+        };
+        paths[`${base}/data/import`] = {
+            post: {
+                tags: ['Records'],
+                summary: `Bulk import${about} records`,
+                description: 'Each row is validated like a submission. Valid rows are stored ' +
+                    'in one batch; invalid rows are reported and skipped.',
+                security: [{ bearerAuth: [] }],
+                parameters: [
+                    {
+                        name: 'dryRun',
+                        in: 'query',
+                        description: 'Validate and report without storing',
+                        schema: { type: 'boolean', default: false }
+                    },
+                    { $ref: '#/components/parameters/lang' }
+                ],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: { type: 'array', items: { type: 'object' } },
+                            example: example && [example]
+                        },
+                        'text/csv': {
+                            schema: { type: 'string', description: 'Header row with field names' }
+                        }
+                    }
+                },
+                responses: {
+                    200: response('Per-row report', ref('ImportReport')),
+                    ...errors(400, 401, 403, 404, 500)
+                }
+            }
+        };
+        paths[`${base}/data/{id}`] = {
+            parameters: [idParam],
+            get: {
+                tags: ['Records'],
+                summary: `Get a${about} record`,
+                description: definition.attachments ? 'Attachments include a download `url`.' : undefined,
+                security: [{ bearerAuth: [] }],
+                responses: {
+                    200: response('Record', success({ data: ref(name('Record')) }, ['data'])),
+                    ...errors(401, 403, 404, 500)
+                }
+            },
+            put: {
+                tags: ['Records'],
+                summary: `Replace a${about} record`,
+                security: [{ bearerAuth: [] }],
+                parameters: [{ $ref: '#/components/parameters/lang' }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': { schema: ref(name('FormFields')), example }
+                    }
+                },
+                responses: {
+                    200: response('Updated', recordResult),
+                    ...errors(400, 401, 403, 404, 500)
+                }
+            },
+            patch: {
+                tags: ['Records'],
+                summary: `Update some fields of a${about} record`,
+                description: 'The merged record is validated as a whole.',
+                security: [{ bearerAuth: [] }],
+                parameters: [{ $ref: '#/components/parameters/lang' }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: ref(name('FormFieldsPatch')),
+                            example: example && { country: 'Canada' }
+                        }
+                    }
+                },
+                responses: {
+                    200: response('Updated', recordResult),
+                    ...errors(400, 401, 403, 404, 500)
+                }
+            },
+            delete: {
+                tags: ['Records'],
+                summary: `Move a${about} record to the trash`,
+                description: `Restore or purge it through ${base}/trash.`,
+                security: [{ bearerAuth: [] }],
+                responses: {
+                    200: response('Trashed', trashedResult),
+                    ...errors(401, 403, 404, 500)
+                }
+            }
+        };
+        if (definition.attachments) {
+            paths[`${base}/data/{id}/attachments/{attachmentId}`] = {
+                parameters: [
+                    idParam,
+                    { name: 'attachmentId', in: 'path', required: true, schema: { type: 'string' } }
+                ],
+                get: {
+                    tags: ['Records'],
+                    summary: `Download an attachment of a${about} record`,
+                    description: 'Sent with the type detected at upload and the original file name.',
+                    security: [{ bearerAuth: [] }],
+                    responses: {
+                        200: {
+                            description: 'File download',
+                            content: { '*/*': { schema: { type: 'string', format: 'binary' } } }
+                        },
+                        ...errors(401, 403, 404, 500)
+                    }
+                }
+            };
+        }
+        paths[`${base}/trash`] = {
+            get: {
+                tags: ['Trash'],
+                summary: `List trashed${about} records`,
+                description: `${pagingNote} ${filterNote(trashFields, 'deletedAt>=2024-01-01')}`,
+                security: [{ bearerAuth: [] }],
+                parameters: [...listParams(trashFields), { $ref: '#/components/parameters/q' }],
+                responses: {
+                    200: response('Page of trashed records', listSchema(name('TrashedRecord'))),
+                    ...errors(400, 401, 403, 404, 500)
+                }
+            },
+            delete: {
+                tags: ['Trash'],
+                summary: `Empty the${about} trash`,
+                security: [{ bearerAuth: [] }],
+                responses: {
+                    200: response('Purged', ref('CountResult')),
+                    ...errors(401, 403, 404, 500)
+                }
+            }
+        };
+        paths[`${base}/trash/{id}/restore`] = {
+            parameters: [idParam],
+            post: {
+                tags: ['Trash'],
+                summary: `Restore a trashed${about} record`,
+                security: [{ bearerAuth: [] }],
+                responses: {
+                    200: response('Restored', recordResult),
+                    ...errors(401, 403, 404, 409, 500)
+                }
+            }
+        };
+        paths[`${base}/trash/{id}`] = {
+            parameters: [idParam],
+            delete: {
+                tags: ['Trash'],
+                summary: `Permanently delete a trashed${about} record`,
+                security: [{ bearerAuth: [] }],
+                responses: {
+                    200: response('Purged', trashedResult),
+                    ...errors(401, 403, 404, 500)
+                }
+            }
+        };
+        return { paths, schemas };
+    }
+
+    // The contact form answers below /api as well as below /api/forms/contact
+    const contact = forms.find(form => form.definition.id === CONTACT_FORM_ID);
+    const contactSpec = formSpec(contact, '/api');
+    const formPaths = {};
+    const formSchemas = { ...contactSpec.schemas };
+    forms.forEach(form => {
+        const spec = formSpec(form, `/api/forms/${form.definition.id}`);
+        Object.assign(formPaths, spec.paths);
+        Object.assign(formSchemas, spec.schemas);
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Server-Side Validation API',
+            version,
+            description: 'Form submission with server-side validation, plus admin endpoints ' +
+                'for stored records, trash and the audit log. Admin endpoints need a bearer ' +
+                'token from POST /api/auth/login.\n\n' +
+                'Validation messages are localized: pass `?lang=` or send Accept-Language ' +
+                `(supported: ${SUPPORTED_LOCALES.join(', ')}).`
+        },
+        servers: [{ url: '/' }],
+        tags: [
+            { name: 'Form', description: 'Public form endpoints' },
+            { name: 'Auth', description: 'Admin login' },
+            { name: 'Records', description: 'Stored submissions (admin)' },
+            { name: 'Trash', description: 'Deleted records awaiting purge (admin)' },
+            { name: 'Audit', description: 'Append-only audit trail (admin)' },
+            {
+                name: 'Webhooks',
+                description: 'Subscriptions and delivery log (admin). Each event is POSTed as a ' +
+                    'WebhookPayload with X-Webhook-Event, X-Webhook-Delivery and ' +
+                    `${SIGNATURE_HEADER}: \`t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">\` ` +
+                    'using the subscription secret. Non-2xx answers are retried with exponential backoff.'
+            },
+            { name: 'Monitoring', description: 'Health and metrics for operators' },
+            { name: 'Docs', description: 'This document' }
+        ],
+        paths: {
+            ...contactSpec.paths,
+            '/api/form-token': {
+                get: {
+                    tags: ['Form'],
+                    summary: 'Issue a form token',
+                    description: 'Signed, timestamped token that POST /api/submit must send back ' +
+                        'in `formToken`; submissions faster than MIN_FILL_TIME_MS are rejected. ' +
+                        'Each token is good for one stored submission; fetch a new one after a success.',
+                    responses: {
+                        200: response('Token', success({ token: { type: 'string' } }, ['token'])),
+                        ...errors(500)
+                    }
+                }
+            },
+            '/api/confirm': {
+                get: {
+                    tags: ['Form'],
+                    summary: 'Check a confirmation link',
+                    description: 'Target of the emailed link; changes nothing, so link scanners can open it. ' +
+                        'Browsers (Accept: text/html) are redirected to ' +
+                        '`/?confirm=<pending|already|invalid|expired>` (with the token when pending), where a ' +
+                        'button confirms through POST /api/confirm; other clients get JSON.',
+                    parameters: [
+                        {
+                            name: 'token',
+                            in: 'query',
+                            required: true,
+                            schema: { type: 'string' }
+                        },
+                        { $ref: '#/components/parameters/lang' }
+                    ],
+                    responses: {
+                        200: response('Waiting for confirmation (or already confirmed)', confirmResult),
+                        302: { description: 'Redirect to the form page (browsers)' },
+                        400: response('Invalid or superseded token', ref('Error')),
+                        410: response('Link expired; request a new one', ref('Error')),
+                        ...errors(500)
+                    }
+                },
+                post: {
+                    tags: ['Form'],
+                    summary: 'Confirm a registration',
+                    description: 'Confirms the record the emailed token points at.',
+                    parameters: [{ $ref: '#/components/parameters/lang' }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['token'],
+                                    properties: { token: { type: 'string' } }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: response('Confirmed (or already confirmed)', confirmResult),
+                        400: response('Invalid or superseded token', ref('Error')),
+                        410: response('Link expired; request a new one', ref('Error')),
+                        ...errors(500)
+                    }
+                }
+            },
+            '/api/schema': {
+                get: {
+                    tags: ['Form'],
+                    summary: 'Validation schema used by the form page',
+                    responses: {
+                        200: response('Form schema (forms/contact.json)', ref('FormSchema')),
+                        ...errors(500)
+                    }
+                }
+            },
+            '/api/forms': {
+                get: {
+                    tags: ['Form'],
+                    summary: 'List the forms',
+                    description: 'Forms defined in configuration (forms/), with the contact form first.',
+                    parameters: [{ $ref: '#/components/parameters/lang' }],
+                    responses: {
+                        200: response('Forms', success({
+                            locale: { type: 'string' },
+                            data: { type: 'array', items: ref('FormSummary') }
+                        }, ['locale', 'data'])),
+                        ...errors(500)
+                    }
+                }
+            },
+            '/api/forms/{formId}': {
+                get: {
+                    tags: ['Form'],
+                    summary: 'Fields, rules and messages of a form',
+                    description: 'What the page needs to render a form: validation rules plus a `ui` ' +
+                        'block per field, with texts in the negotiated locale.',
+                    parameters: [
+                        {
+                            name: 'formId',
+                            in: 'path',
+                            required: true,
+                            schema: { type: 'string', examples: forms.map(form => form.id) }
+                        },
+                        { $ref: '#/components/parameters/lang' }
+                    ],
+                    responses: {
+                        200: response('Form definition', ref('FormDefinition')),
+                        ...errors(404, 500)
+                    }
+                }
+            },
+            ...formPaths,
+            '/api/messages': {
+                get: {
+                    tags: ['Form'],
+                    summary: 'Message catalog for the negotiated locale',
+                    parameters: [{ $ref: '#/components/parameters/lang' }],
+                    responses: {
+                        200: response('Catalog', success({
+                            locale: { type: 'string' },
+                            supported: { type: 'array', items: { type: 'string' } },
+                            messages: { type: 'object', additionalProperties: { type: 'string' } }
+                        }, ['locale', 'supported', 'messages'])),
+                        ...errors(500)
+                    }
+                }
+            },
+            '/api/auth/login': {
+                post: {
+                    tags: ['Auth'],
+                    summary: 'Exchange username and password for a bearer token',
+                    description: 'Attempts are rate limited per IP and per username.',
+                    requestBody: {
+                        required: true,
+                        content: json({
+                            type: 'object',
+                            required: ['username', 'password'],
+                            properties: {
+                                username: { type: 'string' },
+                                password: { type: 'string' }
+                            }
+                        })
+                    },
+                    responses: {
+                        200: response('Logged in', success({
+                            message: { type: 'string' },
+                            token: { type: 'string' },
+                            expiresAt: { type: 'string', format: 'date-time' },
+                            user: ref('User')
+                        }, ['token', 'expiresAt', 'user'])),
+                        ...errors(401, 429, 500)
+                    }
+                }
+            },
+            '/api/auth/logout': {
+                post: {
+                    tags: ['Auth'],
+                    summary: 'End the current session',
+                    security: [{ bearerAuth: [] }],
+                    responses: {
+                        200: response('Logged out', success({ message: { type: 'string' } })),
+                        ...errors(401, 500)
+                    }
+                }
+            },
+            '/api/auth/me': {
+                get: {
+                    tags: ['Auth'],
+                    summary: 'Current user',
+                    security: [{ bearerAuth: [] }],
+                    responses: {
+                        200: response('User', success({ user: ref('User') }, ['user'])),
+                        ...errors(401, 500)
+                    }
+                }
+            },
+            '/api/audit': {
+                get: {
+                    tags: ['Audit'],
+                    summary: 'Query the audit trail',
+                    description: `${pagingNote} ${filterNote(auditFields, 'action=delete&recordId=3')}`,
+                    security: [{ bearerAuth: [] }],
+                    parameters: listParams(auditFields),
+                    responses: {
+                        200: response('Page of audit entries', listSchema('AuditEntry')),
+                        ...errors(400, 401, 403, 500)
+                    }
+                }
+            },
+            '/api/audit/export': {
+                get: {
+                    tags: ['Audit'],
+                    summary: 'Download the audit trail',
+                    description: filterNote(auditFields, 'actor=admin'),
+                    security: [{ bearerAuth: [] }],
+                    parameters: [exportFormatParam('ndjson'), sortParam(auditFields)],
+                    responses: {
+                        200: { description: 'File download', content: exportContent },
+                        ...errors(400, 401, 403, 500)
+                    }
+                }
+            },
+            '/api/webhooks': {
+                get: {
+                    tags: ['Webhooks'],
+                    summary: 'List subscriptions',
+                    security: [{ bearerAuth: [] }],
+                    responses: {
+                        200: response('Subscriptions', success({
+                            count: { type: 'integer' },
+                            data: { type: 'array', items: ref('WebhookSubscription') }
+                        }, ['count', 'data'])),
+                        ...errors(401, 403, 500)
+                    }
+                },
+                post: {
+                    tags: ['Webhooks'],
+                    summary: 'Create a subscription',
+                    description: 'The response is the only time the secret is returned.',
+                    security: [{ bearerAuth: [] }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: ref('WebhookSubscriptionInput'),
+                                example: { url: 'http://localhost:9000/hooks', events: webhookEvents }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: response('Created', success({
+                            message: { type: 'string' },
+                            data: ref('WebhookSubscriptionWithSecret')
+                        }, ['data'])),
+                        ...errors(400, 401, 403, 500)
+                    }
+                }
+            },
+            '/api/webhooks/deliveries': {
+                get: {
+                    tags: ['Webhooks'],
+                    summary: 'Delivery log',
+                    description: `${pagingNote} ${filterNote(deliveryFields, 'status=failed&subscriptionId=2')}`,
+                    security: [{ bearerAuth: [] }],
+                    parameters: listParams(deliveryFields),
+                    responses: {
+                        200: response('Page of deliveries', listSchema('WebhookDelivery')),
+                        ...errors(400, 401, 403, 500)
+                    }
+                }
+            },
+            '/api/webhooks/deliveries/{id}': {
+                parameters: [idParam],
+                get: {
+                    tags: ['Webhooks'],
+                    summary: 'Get a delivery with its attempts',
+                    security: [{ bearerAuth: [] }],
+                    responses: {
+                        200: response('Delivery', success({ data: ref('WebhookDelivery') }, ['data'])),
+                        ...errors(401, 403, 404, 500)
+                    }
+                }
+            },
+            '/api/webhooks/deliveries/{id}/replay': {
+                parameters: [idParam],
+                post: {
+                    tags: ['Webhooks'],
+                    summary: 'Replay a finished delivery',
+                    description: 'Queues the same payload as a new delivery with `replayOf` set.',
+                    security: [{ bearerAuth: [] }],
+                    responses: {
+                        202: response('Queued', ref('WebhookDeliveryResult')),
+                        ...errors(401, 403, 404, 409, 500)
+                    }
+                }
+            },
+            '/api/webhooks/{id}': {
+                parameters: [idParam],
+                get: {
+                    tags: ['Webhooks'],
+                    summary: 'Get a subscription',
+                    security: [{ bearerAuth: [] }],
+                    responses: {
+                        200: response('Subscription', success({ data: ref('WebhookSubscription') }, ['data'])),
+                        ...errors(401, 403, 404, 500)
+                    }
+                },
+                patch: {
+                    tags: ['Webhooks'],
+                    summary: 'Update a subscription',
+                    security: [{ bearerAuth: [] }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: ref('WebhookSubscriptionPatch'),
+                                example: { active: false }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: response('Updated', ref('WebhookSubscriptionResult')),
+                        ...errors(400, 401, 403, 404, 500)
+                    }
+                },
+                delete: {
+                    tags: ['Webhooks'],
+                    summary: 'Delete a subscription',
+                    security: [{ bearerAuth: [] }],
+                    responses: {
+                        200: response('Deleted', ref('WebhookSubscriptionResult')),
+                        ...errors(401, 403, 404, 500)
+                    }
+                }
+            },
+            '/api/webhooks/{id}/ping': {
+                parameters: [idParam],
+                post: {
+                    tags: ['Webhooks'],
+                    summary: 'Send a test ping event',
+                    security: [{ bearerAuth: [] }],
+                    responses: {
+                        202: response('Queued', ref('WebhookDeliveryResult')),
+                        ...errors(401, 403, 404, 500)
+                    }
+                }
+            },
+            '/api/openapi.json': {
+                get: {
+                    tags: ['Docs'],
+                    summary: 'This OpenAPI document',
+                    responses: {
+                        200: response('OpenAPI 3.1 document', { type: 'object' })
+                    }
+                }
+            },
+            '/health': {
+                get: {
+                    tags: ['Monitoring'],
+                    summary: 'Readiness check',
+                    description: 'Checks that storage and the upload directory are writable.',
+                    responses: {
+                        200: response('Ready', ref('Health')),
+                        503: response('Not ready; failing checks carry a message', ref('Health'))
+                    }
+                }
+            },
+            '/metrics': {
+                get: {
+                    tags: ['Monitoring'],
+                    summary: 'Prometheus metrics',
+                    description: 'Request counts and latency per route, validation failures per field, ' +
+                        'record and webhook gauges. Requires a bearer token when METRICS_TOKEN is set.',
+                    responses: {
+                        200: {
+                            description: 'Prometheus text exposition format 0.0.4',
+                            content: { 'text/plain': { schema: { type: 'string' } } }
+                        },
+                        ...errors(401)
+                    }
+                }
+            }
+        },
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' }
+            },
+            parameters: {
+                id: {
+                    name: 'id',
+                    in: 'path',
+                    required: true,
+                    schema: { type: 'integer' }
+                },
+                lang: {
+                    name: 'lang',
+                    in: 'query',
+                    description: 'Language of validation messages (overrides Accept-Language)',
+                    schema: { type: 'string', examples: SUPPORTED_LOCALES }
+                },
+                page: {
+                    name: 'page',
+                    in: 'query',
+                    schema: { type: 'integer', minimum: 1, default: 1 }
+                },
+                limit: {
+                    name: 'limit',
+                    in: 'query',
+                    schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }
+                },
+                cursor: {
+                    name: 'cursor',
+                    in: 'query',
+                    description: 'nextCursor from the previous page; page is ignored',
+                    schema: { type: 'string' }
+                },
+                q: {
+                    name: 'q',
+                    in: 'query',
+                    description: 'Case-insensitive search in name, email and message',
+                    schema: { type: 'string' }
+                }
+            },
+            responses: {
+                BadRequest: response('Invalid input; `errors` maps fields or parameters to messages', ref('Error')),
+                Unauthorized: response('Missing, invalid or expired bearer token', ref('Error')),
+                Forbidden: response('The user lacks the required role', ref('Error')),
+                NotFound: response('No such record', ref('Error')),
+                Conflict: response('The record conflicts with existing data', ref('Error')),
+                TooManyRequests: {
+                    description: 'Rate limited; retry after `retryAfter` seconds',
+                    headers: {
+                        'Retry-After': { schema: { type: 'integer' } }
+                    },
+                    content: json(ref('RateLimited'))
+                },
+                ServerError: response('Unexpected server error', ref('Error'))
+            },
+            schemas: {
+                FormSchema: {
+                    type: 'object',
+                    required: ['fields'],
+                    properties: {
+                        fields: { type: 'object', additionalProperties: { type: 'object' } },
+                        attachments: {
+                            type: 'object',
+                            properties: {
+                                field: { type: 'string' },
+                                maxFiles: { type: 'integer' },
+                                maxFileSize: { type: 'integer', description: 'Bytes per file' },
+                                types: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { mime: { type: 'string' }, ext: { type: 'string' } }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                FormSummary: {
+                    type: 'object',
+                    required: ['id', 'title', 'description', 'submitUrl'],
+                    properties: {
+                        id: { type: 'string' },
+                        title: { type: 'string' },
+                        description: { type: ['string', 'null'] },
+                        submitUrl: { type: 'string' }
+                    }
+                },
+                FormDefinition: {
+                    type: 'object',
+                    required: ['success', 'id', 'title', 'submitUrl', 'fields', 'messages'],
+                    properties: {
+                        success: { const: true },
+                        locale: { type: 'string' },
+                        id: { type: 'string' },
+                        title: { type: 'string' },
+                        description: { type: ['string', 'null'] },
+                        submitUrl: { type: 'string' },
+                        uniqueField: { type: ['string', 'null'] },
+                        fields: {
+                            type: 'object',
+                            description: 'Rules as in forms.js, plus ui: { control, label, placeholder, ' +
+                                'hint, options: [{ value, label }] }',
+                            additionalProperties: { type: 'object' }
+                        },
+                        messages: { type: 'object', additionalProperties: { type: 'string' } },
+                        attachments: {
+                            type: 'object',
+                            description: 'Upload rules as in FormSchema, for forms that accept files'
+                        }
+                    }
+                },
+                ...formSchemas,
+                Health: {
+                    type: 'object',
+                    required: ['status', 'uptime', 'checks'],
+                    properties: {
+                        status: { type: 'string', enum: ['ok', 'error'] },
+                        uptime: { type: 'integer', description: 'Seconds' },
+                        checks: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                required: ['status'],
+                                properties: {
+                                    status: { type: 'string', enum: ['ok', 'error'] },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                },
+                Attachment: {
+                    type: 'object',
+                    required: ['id', 'name', 'mime', 'size'],
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string', description: 'Original file name' },
+                        mime: { type: 'string', description: 'Detected from the contents' },
+                        size: { type: 'integer' },
+                        sha256: { type: 'string' },
+                        file: { type: 'string', description: 'Stored file name' },
+                        uploadedAt: { type: 'string', format: 'date-time' },
+                        url: { type: 'string', description: 'Download link (GET .../data/{id} only)' }
+                    }
+                },
+                CountResult: success({ message: { type: 'string' }, count: { type: 'integer' } }, ['count']),
+                ImportReport: {
+                    type: 'object',
+                    required: ['success', 'dryRun', 'total', 'accepted', 'rejected', 'rows'],
+                    properties: {
+                        success: { type: 'boolean', description: 'true when every row was accepted' },
+                        message: { type: 'string' },
+                        dryRun: { type: 'boolean' },
+                        total: { type: 'integer' },
+                        accepted: { type: 'integer' },
+                        rejected: { type: 'integer' },
+                        rows: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['row', 'status'],
+                                properties: {
+                                    row: { type: 'integer', description: '1-based row number' },
+                                    status: { type: 'string', enum: ['accepted', 'rejected'] },
+                                    recordId: { type: 'integer' },
+                                    errors: { type: 'object', additionalProperties: { type: 'string' } }
+                                }
+                            }
+                        }
+                    }
+                },
+                AuditEntry: {
+                    type: 'object',
+                    required: ['id', 'at', 'action', 'form', 'recordId', 'actor'],
+                    properties: {
+                        id: { type: 'integer' },
+                        at: { type: 'string', format: 'date-time' },
+                        action: { type: 'string', examples: ['create', 'confirm', 'view', 'download', 'list', 'export', 'update', 'delete', 'restore', 'purge'] },
+                        form: {
+                            type: ['string', 'null'],
+                            description: 'Form the record belongs to; record ids are only unique within a form'
+                        },
+                        recordId: { type: ['integer', 'null'] },
+                        actor: { type: 'string' },
+                        role: { type: ['string', 'null'] },
+                        ip: { type: ['string', 'null'] },
+                        before: { type: ['object', 'null'] },
+                        after: { type: ['object', 'null'] },
+                        details: { type: ['object', 'null'] }
+                    }
+                },
+                WebhookSubscriptionInput: webhookInputSchema(webhookEvents, true),
+                WebhookSubscriptionPatch: webhookInputSchema(webhookEvents, false),
+                WebhookSubscription: {
+                    type: 'object',
+                    required: ['id', 'url', 'events', 'active', 'createdAt'],
+                    properties: webhookProperties(webhookEvents)
+                },
+                WebhookSubscriptionWithSecret: {
+                    type: 'object',
+                    required: ['id', 'url', 'events', 'active', 'createdAt', 'secret'],
+                    properties: {
+                        ...webhookProperties(webhookEvents),
+                        secret: { type: 'string', description: 'HMAC key for verifying signatures' }
+                    }
+                },
+                WebhookSubscriptionResult: success({
+                    message: { type: 'string' },
+                    data: ref('WebhookSubscription')
+                }, ['data']),
+                WebhookPayload: {
+                    type: 'object',
+                    description: 'Body POSTed to the subscriber; `id` is stable across retries and replays',
+                    required: ['id', 'event', 'form', 'createdAt', 'data'],
+                    properties: {
+                        id: { type: 'string' },
+                        event: { type: 'string', enum: [...webhookEvents, 'ping'] },
+                        form: {
+                            type: ['string', 'null'],
+                            description: 'Form the record belongs to (null for ping); record ids are only ' +
+                                'unique within a form'
+                        },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        data: { type: 'object', description: 'The record (for ping: { subscriptionId })' }
+                    }
+                },
+                WebhookDelivery: {
+                    type: 'object',
+                    required: ['id', 'subscriptionId', 'event', 'payload', 'status', 'attempts', 'createdAt'],
+                    properties: {
+                        id: { type: 'integer' },
+                        subscriptionId: { type: 'integer' },
+                        event: { type: 'string' },
+                        payload: ref('WebhookPayload'),
+                        status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+                        attempts: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    at: { type: 'string', format: 'date-time' },
+                                    statusCode: { type: ['integer', 'null'] },
+                                    error: { type: ['string', 'null'] },
+                                    durationMs: { type: 'integer' }
+                                }
+                            }
+                        },
+                        nextAttemptAt: { type: ['string', 'null'], format: 'date-time' },
+                        replayOf: { type: ['integer', 'null'] },
+                        createdAt: { type: 'string', format: 'date-time' },
+                        completedAt: { type: ['string', 'null'], format: 'date-time' }
+                    }
+                },
+                WebhookDeliveryResult: success({
+                    message: { type: 'string' },
+                    data: ref('WebhookDelivery')
+                }, ['data']),
+                User: {
+                    type: 'object',
+                    required: ['username', 'role'],
+                    properties: {
+                        username: { type: 'string' },
+                        role: { type: 'string', enum: ['admin', 'user'] }
+                    }
+                },
+                Error: {
+                    type: 'object',
+                    required: ['success', 'code', 'message'],
+                    properties: {
+                        success: { const: false },
+                        code: {
+                            type: 'string',
+                            enum: ERROR_CODES,
+                            description: 'Stable error code; VALIDATION_FAILED comes with `errors`, ' +
+                                'INVALID_JSON means the body could not be parsed'
+                        },
+                        message: { type: 'string' },
+                        errors: {
+                            type: 'object',
+                            description: 'Field or parameter name to message',
+                            additionalProperties: { type: 'string' }
+                        },
+                        error: { type: 'string', description: 'Exception message (development only)' }
+                    }
+                },
+                RateLimited: {
+                    type: 'object',
+                    required: ['success', 'code', 'message', 'retryAfter'],
+                    properties: {
+                        success: { const: false },
+                        code: { const: 'RATE_LIMITED' },
+                        message: { type: 'string' },
+                        retryAfter: { type: 'integer', description: 'Seconds' }
+                    }
+                }
+            }
+        }
+    };
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Follow a local $ref (#/components/...)
+ */
+function resolve(spec, node) {
+    while (node && node.$ref) {
+        node = node.$ref.slice(2).split('/').reduce((obj, key) => obj[key], spec);
+    }
+    return node;
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check a value against the JSON Schema subset used in buildSpec
+ * - $ref, anyOf, type, const, enum, minLength, maxLength, pattern,
+ *   minimum, maximum, required, properties, additionalProperties, items
+ * - Pushes "<where>: <problem>" strings onto problems
+ */
+function checkSchema(spec, schema, value, where, problems) {
+    schema = resolve(spec, schema);
+    if (!schema) return;
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => {
+            const optionProblems = [];
+            checkSchema(spec, option, value, where, optionProblems);
+            return optionProblems.length === 0;
+        });
+        if (!matches) problems.push(`${where}: does not match any allowed form`);
+        return;
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const actual = typeOf(value);
+        const ok = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+        if (!ok) {
+            problems.push(`${where}: expected ${types.join(' or ')}, got ${actual}`);
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        problems.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        const length = Array.from(value).length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            problems.push(`${where}: shorter than ${schema.minLength}`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            problems.push(`${where}: longer than ${schema.maxLength}`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            problems.push(`${where}: does not match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            problems.push(`${where}: less than ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            problems.push(`${where}: greater than ${schema.maximum}`);
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) problems.push(`${where}.${key}: is required`);
+        });
+        Object.keys(value).forEach(key => {
+            const propertySchema = schema.properties && schema.properties[key];
+            if (propertySchema) {
+                checkSchema(spec, propertySchema, value[key], `${where}.${key}`, problems);
+            } else if (schema.additionalProperties === false) {
+                problems.push(`${where}.${key}: is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                checkSchema(spec, schema.additionalProperties, value[key], `${where}.${key}`, problems);
+            }
+        });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => checkSchema(spec, schema.items, item, `${where}[${i}]`, problems));
+    }
+}
+
+/**
+ * Turn a query or path string into the parameter's declared type
+ */
+function coerceParam(schema, raw) {
+    const types = [].concat(schema.type);
+    if (types.includes('integer') && /^-?\d+$/.test(raw)) return parseInt(raw, 10);
+    if (types.includes('boolean') && (raw === 'true' || raw === 'false')) return raw === 'true';
+    return raw;
+}
+
+/**
+ * Compile the spec's path templates into matchers
+ * - /api/data/{id} becomes ^/api/data/([^/]+)$
+ */
+function compileRoutes(spec) {
+    return Object.keys(spec.paths).map(template => {
+        const names = [];
+        const source = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+        return { template, names, regex: new RegExp(`^${source}$`) };
+    });
+}
+
+/**
+ * Express middleware checking traffic against the spec
+ * - Requests: path and query parameters, and JSON bodies
+ * - Responses: status code is documented and JSON bodies match
+ * - Mismatches are reported through options.log (default console.warn);
+ *   nothing is rejected, so the API answers exactly as it does without it
+ */
+function createSpecValidator(spec, options = {}) {
+    const log = options.log || (message => console.warn(message));
+    const routes = compileRoutes(spec);
+
+    function report(req, kind, problems) {
+        if (problems.length > 0) {
+            log(`[openapi] ${req.method} ${req.originalUrl} ${kind} does not match the spec:\n  - ` +
+                problems.join('\n  - '));
+        }
+    }
+
+    return (req, res, next) => {
+        const method = req.method.toLowerCase();
+
+        // Literal paths (/api/data/export) win over templates (/api/data/{id})
+        const candidates = routes
+            .map(route => ({ route, match: route.regex.exec(req.path) }))
+            .filter(candidate => candidate.match && spec.paths[candidate.route.template][method])
+            .sort((a, b) => a.route.names.length - b.route.names.length);
+        if (candidates.length === 0) return next();
+
+        const { route, match } = candidates[0];
+        const pathItem = spec.paths[route.template];
+        const operation = pathItem[method];
+        const pathParams = {};
+        route.names.forEach((name, i) => {
+            pathParams[name] = decodeURIComponent(match[i + 1]);
+        });
+
+        const problems = [];
+        [...(pathItem.parameters || []), ...(operation.parameters || [])]
+            .map(param => resolve(spec, param))
+            .forEach(param => {
+                const raw = param.in === 'path' ? pathParams[param.name] : req.query[param.name];
+                const where = `${param.in} parameter ${param.name}`;
+                if (raw === undefined) {
+                    if (param.required) problems.push(`${where}: is required`);
+                    return;
+                }
+                checkSchema(spec, param.schema, coerceParam(resolve(spec, param.schema), raw), where, problems);
+            });
+
+        const body = operation.requestBody && operation.requestBody.content['application/json'];
+        if (body && req.is('application/json')) {
+            checkSchema(spec, body.schema, req.body, 'body', problems);
+        }
+        report(req, 'request', problems);
+
+        const sendJson = res.json.bind(res);
+        res.json = payload => {
+            const documented = resolve(spec, operation.responses[res.statusCode] || operation.responses.default);
+            const responseProblems = [];
+            if (!documented) {
+                responseProblems.push(`status ${res.statusCode} is not documented`);
+            } else if (documented.content && documented.content['application/json']) {
+                checkSchema(spec, documented.content['application/json'].schema, payload, 'body', responseProblems);
+            }
+            report(req, `response ${res.statusCode}`, responseProblems);
+            return sendJson(payload);
+        };
+
+        next();
+    };
+}
+
+module.exports = {
+    buildSpec,
+    createSpecValidator
+};
@@ -0,0 +1,133 @@
+/**
+ * Phone number parsing shared by the server and the browser
+ * - Node: require('./public/phone')
+ * - Browser: <script src="/phone.js"> exposes window.PhoneNumber
+ *
+ * Numbers are checked against the rules of the selected country and
+ * normalized to E.164 (e.g. +442079460018).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PhoneNumber = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // North American Numbering Plan: NPA-NXX-XXXX, area codes [2-9][0-8]X
+    const NANP = {
+        code: '1',
+        trunk: '1',
+        minLength: 10,
+        maxLength: 10,
+        areaCode: /^[2-9][0-8]\d/,
+        subscriber: /^\d{3}[2-9]/
+    };
+
+    /**
+     * Numbering rules per country option in the form
+     * - code: country calling code
+     * - trunk: national prefix dropped when dialing internationally
+     * - minLength/maxLength: national significant number length
+     * - areaCode: what the national number must start with
+     */
+    const COUNTRIES = {
+        USA: NANP,
+        Canada: NANP,
+        UK: {
+            code: '44',
+            trunk: '0',
+            minLength: 9,
+            maxLength: 10,
+            areaCode: /^[1235789]/
+        },
+        Australia: {
+            code: '61',
+            trunk: '0',
+            minLength: 9,
+            maxLength: 9,
+            areaCode: /^[23478]/
+        }
+    };
+
+    // E.164 limits for countries without specific rules
+    const E164_MIN_DIGITS = 8;
+    const E164_MAX_DIGITS = 15;
+
+    /**
+     * Parse a phone number for a country
+     * - Accepts national format or international (+CC / 00CC), with spaces,
+     *   dots, dashes and parentheses
+     * - Returns { e164 } on success, or { error, params } where error is one of
+     *   invalidCharacters, countryCodeRequired, countryMismatch, tooShort,
+     *   tooLong, invalidAreaCode, invalid
+     */
+    function parse(input, country) {
+        const compact = String(input).trim().replace(/[\s.\-()]/g, '');
+        if (!/^(\+|00)?\d+$/.test(compact)) {
+            return { error: 'invalidCharacters' };
+        }
+
+        const international = /^(\+|00)/.test(compact);
+        const digits = compact.replace(/^(\+|00)/, '');
+        const rules = COUNTRIES[country];
+
+        // No country-specific rules: require a full international number
+        if (!rules) {
+            if (!international) {
+                return { error: 'countryCodeRequired' };
+            }
+            if (digits.startsWith('0')) {
+                return { error: 'invalid' };
+            }
+            if (digits.length < E164_MIN_DIGITS) {
+                return { error: 'tooShort', params: { min: E164_MIN_DIGITS } };
+            }
+            if (digits.length > E164_MAX_DIGITS) {
+                return { error: 'tooLong', params: { max: E164_MAX_DIGITS } };
+            }
+            return { e164: `+${digits}` };
+        }
+
+        let national;
+        if (international) {
+            if (!digits.startsWith(rules.code)) {
+                return { error: 'countryMismatch', params: { code: `+${rules.code}` } };
+            }
+            national = digits.slice(rules.code.length);
+        } else if (rules.trunk && digits.startsWith(rules.trunk) &&
+            digits.length > rules.minLength) {
+            national = digits.slice(rules.trunk.length);
+        } else {
+            national = digits;
+        }
+
+        const lengths = { min: rules.minLength, max: rules.maxLength };
+        if (national.length < rules.minLength) {
+            return { error: 'tooShort', params: lengths };
+        }
+        if (national.length > rules.maxLength) {
+            return { error: 'tooLong', params: lengths };
+        }
+        if (!rules.areaCode.test(national)) {
+            return { error: 'invalidAreaCode' };
+        }
+        if (rules.subscriber && !rules.subscriber.test(national)) {
+            return { error: 'invalid' };
+        }
+        return { e164: `+${rules.code}${national}` };
+    }
+
+    /**
+     * Normalize to E.164, or return the input unchanged if it does not parse
+     */
+    function toE164(input, country) {
+        const result = parse(input, country);
+        return result.e164 || input;
+    }
+
+    return {
+        COUNTRIES,
+        parse,
+        toE164
+    };
+});
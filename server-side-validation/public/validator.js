@@ -0,0 +1,212 @@
+/**
+ * Schema validator shared by the server and the browser
+ * - Node: require('./public/validator')
+ * - Browser: <script src="/validator.js"> exposes window.SchemaValidator;
+ *   load /phone.js first
+ * - Messages come from a flat locale catalog (see locales/*.json); the
+ *   English defaults below are used for anything the catalog lacks
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./phone'));
+    } else {
+        root.SchemaValidator = factory(root.PhoneNumber);
+    }
+})(typeof self !== 'undefined' ? self : this, function (PhoneNumber) {
+    const defaultMessages = {
+        required: '{label} is required',
+        type: '{label} is invalid',
+        minLength: '{label} must be at least {minLength} characters',
+        maxLength: '{label} cannot exceed {maxLength} characters',
+        min: '{label} must be at least {min}',
+        max: '{label} cannot exceed {max}',
+        pattern: '{label} is invalid',
+        enum: '{label} must be one of: {enum}',
+        equals: '{label} is invalid',
+        invalidCharacters: '{label} may only contain digits, spaces, dashes, dots, parentheses and a leading +',
+        countryCodeRequired: '{label} must include the country code (e.g. +33)',
+        countryMismatch: '{label} must start with {code} for the selected country',
+        taken: '{label} has already been registered',
+        tooShort: '{label} is too short',
+        tooLong: '{label} is too long',
+        invalidAreaCode: '{label} has an invalid area code',
+        invalid: '{label} is invalid'
+    };
+
+    /**
+     * Build the message for a failed rule
+     * - Looks up fields.<name>.<key>, then default.<key> in the catalog
+     * - A failed type check falls back to the field's required message
+     * - extra: additional placeholder values for the template
+     */
+    function message(name, rule, key, catalog, extra) {
+        const field = `fields.${name}.`;
+        const template = catalog[field + key] ||
+            (key === 'type' && catalog[field + 'required']) ||
+            catalog[`default.${key}`] ||
+            defaultMessages[key] ||
+            defaultMessages.invalid;
+        const params = { ...rule, ...extra, label: catalog[field + 'label'] || name };
+        return template.replace(/\{(\w+)\}/g, (match, param) => {
+            const value = params[param];
+            if (value === undefined) return match;
+            return Array.isArray(value) ? value.join(', ') : String(value);
+        });
+    }
+
+    function isEmpty(value) {
+        return value === null || value === undefined || value === '';
+    }
+
+    /**
+     * Whole number from a number or a string of digits ("42", " -3 ")
+     * - Returns NaN for anything else, including "5abc" and 4.7
+     */
+    function toInteger(value) {
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? value : NaN;
+        }
+        if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+            return parseInt(value, 10);
+        }
+        return NaN;
+    }
+
+    /**
+     * Whether a `when` condition holds for the submission
+     * - { field, equals | notEquals | in | min | max }; equals, notEquals and
+     *   in compare as strings, min and max as numbers (inclusive)
+     */
+    function conditionMet(condition, data) {
+        const value = data[condition.field];
+        if (condition.equals !== undefined && String(value) !== String(condition.equals)) return false;
+        if (condition.notEquals !== undefined && String(value) === String(condition.notEquals)) return false;
+        if (condition.in !== undefined && !condition.in.map(String).includes(String(value))) return false;
+        if (condition.min !== undefined || condition.max !== undefined) {
+            const num = typeof value === 'number' ? value : parseFloat(value);
+            if (isNaN(num)) return false;
+            if (condition.min !== undefined && num < condition.min) return false;
+            if (condition.max !== undefined && num > condition.max) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Rule with the `when` entries that apply to this submission merged in
+     * - Returns { rule, messageKeys }: messageKeys maps a rule key added by
+     *   an entry to that entry's `message`, if it has one
+     */
+    function applyConditions(rule, data) {
+        let merged = rule;
+        const messageKeys = {};
+        (rule.when || []).forEach(entry => {
+            if (!conditionMet(entry.if, data)) return;
+            merged = { ...merged, ...entry.then };
+            Object.keys(entry.then).forEach(key => {
+                if (entry.message) messageKeys[key] = entry.message;
+            });
+        });
+        return { rule: merged, messageKeys };
+    }
+
+    /**
+     * Validate a single value against a field rule
+     * - name: field name, used to look up its messages
+     * - catalog: flat message catalog for the user's locale (optional)
+     * - data: the whole submission, for rules that depend on other fields
+     *   (countryField, `when` conditions)
+     * - Returns an error message, or null when valid
+     */
+    function validateField(name, baseRule, value, catalog = {}, data = {}) {
+        const { rule, messageKeys } = applyConditions(baseRule, data);
+        const fail = (key, extra) => message(name, rule, messageKeys[key] || key, catalog, extra);
+
+        if (isEmpty(value)) {
+            return rule.required ? fail('required') : null;
+        }
+
+        if (rule.type === 'string') {
+            if (typeof value !== 'string') return fail('type');
+            const trimmed = rule.trim === false ? value : value.trim();
+            // Count code points, not UTF-16 units, so non-Latin names measure right
+            const length = Array.from(trimmed).length;
+            if (rule.minLength !== undefined && length < rule.minLength) {
+                return fail('minLength');
+            }
+            if (rule.maxLength !== undefined && length > rule.maxLength) {
+                return fail('maxLength');
+            }
+            if (rule.pattern && !new RegExp(rule.pattern, rule.flags).test(trimmed)) {
+                return fail('pattern');
+            }
+            if (rule.enum && !rule.enum.includes(trimmed)) {
+                return fail('enum');
+            }
+        }
+
+        if (rule.type === 'integer') {
+            const num = toInteger(value);
+            if (isNaN(num)) return fail('type');
+            if (rule.min !== undefined && num < rule.min) return fail('min');
+            if (rule.max !== undefined && num > rule.max) return fail('max');
+            if (rule.enum && !rule.enum.includes(num)) return fail('enum');
+        }
+
+        if (rule.type === 'boolean') {
+            if (typeof value !== 'boolean') return fail('type');
+        }
+
+        // Checked against the numbering rules of the country in countryField
+        if (rule.type === 'phone') {
+            if (typeof value !== 'string') return fail('type');
+            const result = PhoneNumber.parse(value, data[rule.countryField]);
+            if (result.error) return fail(result.error, result.params);
+        }
+
+        if (rule.equals !== undefined && value !== rule.equals) {
+            return fail('equals');
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate every field in the schema
+     * - Returns an { field: message } object, or null when all fields pass
+     */
+    function validate(schema, data, catalog) {
+        const errors = {};
+        Object.keys(schema.fields).forEach(name => {
+            const error = validateField(name, schema.fields[name], data[name], catalog, data);
+            if (error) errors[name] = error;
+        });
+        return Object.keys(errors).length === 0 ? null : errors;
+    }
+
+    /**
+     * Canonical form of validated data for storage
+     * - Phone numbers become E.164 (e.g. +442079460018)
+     * - Integers are stored as numbers, not the submitted strings
+     * - Returns a copy; other fields are left as they are
+     */
+    function normalize(schema, data) {
+        const result = { ...data };
+        Object.keys(schema.fields).forEach(name => {
+            const rule = schema.fields[name];
+            if (rule.type === 'phone' && typeof data[name] === 'string') {
+                result[name] = PhoneNumber.toE164(data[name], data[rule.countryField]);
+            }
+            if (rule.type === 'integer' && !isEmpty(data[name]) && !isNaN(toInteger(data[name]))) {
+                result[name] = toInteger(data[name]);
+            }
+        });
+        return result;
+    }
+
+    return {
+        message,
+        validateField,
+        validate,
+        normalize
+    };
+});
@@ -0,0 +1,254 @@
+/**
+ * List query support for GET /api/data
+ * - Pagination: page & limit, or an opaque cursor from a previous response
+ * - Sorting: sort=fullName or sort=-age (descending), comma-separated
+ * - Filters: country=UK, age>=30, age<40, country!=Other
+ * - Search: q=text (case-insensitive, across name, email and message, or
+ *   options.searchFields when the caller sets them)
+ * - lang picks the response locale (see i18n.js) and is not a filter
+ */
+
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const RESERVED_PARAMS = ['page', 'limit', 'cursor', 'sort', 'q', 'lang'];
+const SEARCH_FIELDS = ['fullName', 'email', 'message'];
+
+// Error messages when the caller passes no translate function
+const english = (key, params) => translate(DEFAULT_LOCALE, key, params);
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Split a raw query string into { key, op, value } terms
+ * - Parsed by hand because `age>=30` is not a key/value pair to qs
+ */
+function parseTerms(rawQuery) {
+    if (!rawQuery) return [];
+    return rawQuery.split('&').filter(Boolean).map(pair => {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pair.replace(/\+/g, ' '));
+        } catch (err) {
+            decoded = pair;
+        }
+        const match = /^([\w.]+)(>=|<=|!=|>|<|=)(.*)$/.exec(decoded);
+        if (!match) return { key: decoded, op: '=', value: '' };
+        return { key: match[1], op: match[2], value: match[3] };
+    });
+}
+
+function parsePositiveInt(value) {
+    if (!/^\d+$/.test(value)) return NaN;
+    const num = parseInt(value, 10);
+    return num > 0 ? num : NaN;
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+        return decoded && Array.isArray(decoded.values) ? decoded : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function encodeCursor(values) {
+    // URL-safe alphabet; Buffer's base64 decoder accepts it as-is
+    return Buffer.from(JSON.stringify({ values }), 'utf8').toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * Parse and validate list query options
+ * - fields: names that may be used for sorting and filtering
+ * - ignore: extra params handled by the caller (e.g. export format)
+ * - t: translate function for the error messages (default English)
+ * - Returns { options, errors }; errors is null when the query is valid
+ */
+function parseListQuery(rawQuery, fields, ignore = [], t = english) {
+    const errors = {};
+    const options = {
+        page: 1,
+        limit: DEFAULT_LIMIT,
+        cursor: null,
+        sort: [],
+        filters: [],
+        search: ''
+    };
+
+    parseTerms(rawQuery).forEach(({ key, op, value }) => {
+        if (ignore.includes(key)) {
+            return;
+        }
+        if (RESERVED_PARAMS.includes(key) && op !== '=') {
+            errors[key] = t('query.operator', { param: key });
+            return;
+        }
+        switch (key) {
+            case 'page': {
+                const page = parsePositiveInt(value);
+                if (isNaN(page)) errors.page = t('query.page');
+                else options.page = page;
+                break;
+            }
+            case 'limit': {
+                const limit = parsePositiveInt(value);
+                if (isNaN(limit) || limit > MAX_LIMIT) {
+                    errors.limit = t('query.limit', { max: MAX_LIMIT });
+                } else {
+                    options.limit = limit;
+                }
+                break;
+            }
+            case 'cursor': {
+                options.cursor = decodeCursor(value);
+                if (!options.cursor) errors.cursor = t('query.cursor');
+                break;
+            }
+            case 'sort': {
+                value.split(',').filter(Boolean).forEach(term => {
+                    const descending = term.startsWith('-');
+                    const field = descending ? term.slice(1) : term;
+                    if (!fields.includes(field)) {
+                        errors.sort = t('query.sort', { field });
+                    } else {
+                        options.sort.push({ field, descending });
+                    }
+                });
+                break;
+            }
+            case 'q':
+                options.search = value.trim().toLowerCase();
+                break;
+            case 'lang':
+                break;
+            default:
+                if (!fields.includes(key)) {
+                    errors[key] = t('query.filter', { field: key });
+                } else {
+                    options.filters.push({ field: key, op, value });
+                }
+        }
+    });
+
+    // Always end on id so ordering (and cursors) are stable
+    if (!options.sort.some(s => s.field === 'id')) {
+        options.sort.push({ field: 'id', descending: false });
+    }
+
+    return {
+        options,
+        errors: Object.keys(errors).length === 0 ? null : errors
+    };
+}
+
+// ============================================
+// EVALUATION
+// ============================================
+
+function isNumeric(value) {
+    return typeof value === 'number' ||
+        (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+}
+
+/**
+ * Compare two field values
+ * - Numbers (or numeric strings) numerically, everything else as
+ *   case-insensitive strings; missing values sort first
+ */
+function compareValues(a, b) {
+    const aMissing = a === null || a === undefined || a === '';
+    const bMissing = b === null || b === undefined || b === '';
+    if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? -1 : 1);
+    if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+    return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+}
+
+function compareBySort(sort, a, b) {
+    for (let i = 0; i < sort.length; i++) {
+        const result = compareValues(a[i], b[i]);
+        if (result !== 0) return sort[i].descending ? -result : result;
+    }
+    return 0;
+}
+
+function matchesFilter(record, { field, op, value }) {
+    const result = compareValues(record[field], value);
+    switch (op) {
+        case '=': return result === 0;
+        case '!=': return result !== 0;
+        case '>': return result > 0;
+        case '>=': return result >= 0;
+        case '<': return result < 0;
+        case '<=': return result <= 0;
+        default: return false;
+    }
+}
+
+function matchesSearch(record, search, fields) {
+    if (!search) return true;
+    return fields.some(field =>
+        typeof record[field] === 'string' && record[field].toLowerCase().includes(search)
+    );
+}
+
+/**
+ * Filter, search and sort records without paginating
+ */
+function matchRecords(records, options) {
+    const sortValues = record => options.sort.map(s => record[s.field]);
+
+    return records
+        .filter(record => options.filters.every(filter => matchesFilter(record, filter)))
+        .filter(record => matchesSearch(record, options.search, options.searchFields || SEARCH_FIELDS))
+        .sort((a, b) => compareBySort(options.sort, sortValues(a), sortValues(b)));
+}
+
+/**
+ * Apply parsed options to a list of records
+ * - Returns { total, items, page, totalPages, hasPrev, hasNext, nextCursor }
+ * - With a cursor, `page` is ignored and results start after the cursor
+ */
+function applyListQuery(records, options) {
+    const sortValues = record => options.sort.map(s => record[s.field]);
+    const matched = matchRecords(records, options);
+
+    const total = matched.length;
+    let start;
+    if (options.cursor) {
+        start = matched.findIndex(record =>
+            compareBySort(options.sort, sortValues(record), options.cursor.values) > 0
+        );
+        if (start === -1) start = total;
+    } else {
+        start = (options.page - 1) * options.limit;
+    }
+
+    const items = matched.slice(start, start + options.limit);
+    const hasNext = start + options.limit < total;
+    const last = items[items.length - 1];
+
+    return {
+        total,
+        items,
+        page: options.cursor ? null : options.page,
+        totalPages: Math.ceil(total / options.limit),
+        hasPrev: !options.cursor && start > 0,
+        hasNext,
+        nextCursor: hasNext && last ? encodeCursor(sortValues(last)) : null
+    };
+}
+
+module.exports = {
+    parseListQuery,
+    matchRecords,
+    applyListQuery,
+    DEFAULT_LIMIT,
+    MAX_LIMIT
+};
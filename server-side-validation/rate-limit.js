@@ -0,0 +1,88 @@
+/**
+ * Fixed-window rate limiter
+ * - Counts hits per key in memory; each key's window starts on its first hit
+ * - Expired windows are swept once a minute
+ */
+class RateLimiter {
+    constructor({ windowMs, max }) {
+        this.windowMs = windowMs;
+        this.max = max;
+        this.hits = new Map();
+        this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+        this.sweeper.unref();
+    }
+
+    /**
+     * Record a hit for key
+     * - Returns { allowed, remaining, retryAfter } (retryAfter in seconds)
+     */
+    hit(key) {
+        const now = Date.now();
+        let entry = this.hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + this.windowMs };
+            this.hits.set(key, entry);
+        }
+        entry.count++;
+        return {
+            allowed: entry.count <= this.max,
+            remaining: Math.max(0, this.max - entry.count),
+            retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+        };
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.hits) {
+            if (entry.resetAt <= now) this.hits.delete(key);
+        }
+    }
+
+    reset() {
+        this.hits.clear();
+    }
+}
+
+/**
+ * Send a 429 in the API's JSON error format
+ */
+function sendTooManyRequests(res, retryAfter, message) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: message || 'Too many submissions. Please try again later.',
+        retryAfter
+    });
+}
+
+/**
+ * Express middleware limiting requests per key
+ * - options.windowMs, options.max: limiter settings
+ * - options.key(req): key to count, or null to skip limiting this request
+ * - options.message(req): optional (e.g. localized) error message
+ */
+function rateLimit(options) {
+    const limiter = new RateLimiter(options);
+
+    const middleware = (req, res, next) => {
+        const key = options.key(req);
+        if (key === null || key === undefined) {
+            return next();
+        }
+        const result = limiter.hit(key);
+        res.set('X-RateLimit-Limit', String(limiter.max));
+        res.set('X-RateLimit-Remaining', String(result.remaining));
+        if (!result.allowed) {
+            return sendTooManyRequests(res, result.retryAfter,
+                options.message && options.message(req));
+        }
+        next();
+    };
+    middleware.limiter = limiter;
+    return middleware;
+}
+
+module.exports = {
+    RateLimiter,
+    rateLimit
+};
@@ -1,306 +1,1560 @@
 const express = require('express');
 const path = require('path');
+const { createStore, DuplicateKeyError, uniqueKey } = require('./storage');
+const SchemaValidator = require('./public/validator');
+const { parseListQuery, matchRecords, applyListQuery } = require('./query');
+const { EXPORT_FORMATS, sendExport } = require('./export');
+const { readImportRows } = require('./import');
+const { rateLimit } = require('./rate-limit');
+const { createSpamGuard } = require('./spam');
+const { createAuditLog } = require('./audit');
+const { createAuth } = require('./auth');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, getMessages, localize } = require('./i18n');
+const { buildSpec, createSpecValidator } = require('./openapi');
+const { WEBHOOK_EVENTS, createWebhooks, publicSubscription, validateSubscription } = require('./webhooks');
+const { createMailer } = require('./mailer');
+const { createConfirmations } = require('./confirm');
+const { createUploads } = require('./attachments');
+const { createLogger, Registry, createMetrics, requestLogger, healthCheck } = require('./observability');
+const { errorCodes, errorHandler, asyncRoute, notFound } = require('./errors');
+const { createShutdown } = require('./shutdown');
+const { CONTACT_FORM_ID, loadForms, formCatalog, formRules, formSummary, publicForm } = require('./forms');
+const { createValidator, disposableEmailCheck, uniqueCheck } = require('./validators');
 const app = express();
 
+// Maximum request body for bulk imports
+const IMPORT_LIMIT = process.env.IMPORT_LIMIT || '5mb';
+
+// Structured logs, request IDs and Prometheus metrics (see observability.js)
+const log = createLogger();
+const metrics = createMetrics();
+const validationFailures = metrics.counter('form_validation_failures_total',
+    'Fields rejected by validation, by form, source (submit, update, import) and field',
+    ['form', 'source', 'field']);
+const spamRejections = metrics.counter('form_spam_rejections_total',
+    'Submissions rejected by the spam guard, by reason', ['reason']);
+
+// Drains requests on SIGTERM/SIGINT before exiting (see shutdown.js)
+const lifecycle = createShutdown({ log });
+
 // Middleware
-app.use(express.json());
-app.use(express.static(__dirname));
+app.use(requestLogger({ log, metrics, quiet: ['/health', '/metrics'] }));
+// Before anything that can answer, so every message is translated
+app.use(localize);
+app.use(lifecycle.guard);
+// Bulk imports are parsed in their route, after the admin check, with the
+// larger IMPORT_LIMIT
+const IMPORT_PATH = /^\/api(\/forms\/[^/]+)?\/data\/import$/;
+const jsonBody = express.json();
+app.use((req, res, next) => (IMPORT_PATH.test(req.path) ? next() : jsonBody(req, res, next)));
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Development: check requests and responses against the OpenAPI document
+// (specValidator is set up with the spec under API DOCUMENTATION)
+if (process.env.NODE_ENV === 'development') {
+    app.use((req, res, next) => specValidator(req, res, next));
+}
+
+// Machine-readable `code` on every JSON error (see errors.js)
+app.use(errorCodes());
+
+// Persistent storage for submitted data (see storage.js for drivers)
+const store = createStore();
+
+// Async server-side checks that schemas name in `checks` (see validators.js)
+const validator = createValidator();
+validator.register('disposable', disposableEmailCheck({ log }));
+validator.register('unique', uniqueCheck());
+
+// Every form the page can show (see forms.js): the contact form uses the
+// store above, the others get a file each in FORM_DATA_DIR
+const FORM_DATA_DIR = process.env.FORM_DATA_DIR || path.join(__dirname, 'data', 'forms');
+const forms = new Map(loadForms().map(definition => {
+    const rules = formRules(definition);
+    validator.verify(rules);
+    const names = Object.keys(rules.fields);
+    // Fields that the form's list, export and trash can sort and filter on
+    const listFields = [
+        'id', 'timestamp', 'updatedAt', 'revision',
+        ...(definition.confirmation ? ['status', 'confirmedAt'] : []),
+        ...names
+    ];
+    return [definition.id, {
+        definition,
+        rules,
+        listFields,
+        trashFields: [...listFields, 'deletedAt'],
+        // What q= searches in the form's list and trash
+        searchFields: names.filter(name => rules.fields[name].type === 'string'),
+        // Written as numbers in exports
+        numericColumns: ['id', 'revision', ...names.filter(name => rules.fields[name].type === 'integer')],
+        store: definition.id === CONTACT_FORM_ID ? store : createStore({
+            file: path.join(FORM_DATA_DIR, `${definition.id}.json`),
+            uniqueField: definition.uniqueField || null
+        })
+    }];
+}));
+const contactForm = forms.get(CONTACT_FORM_ID);
+const customForms = Array.from(forms.values()).filter(form => form !== contactForm);
+
+// Admin authentication (see auth.js); users live next to the data unless
+// everything is in memory
+const auth = createAuth({
+    file: process.env.STORAGE_DRIVER === 'memory' ? null : undefined
+});
+const requireAdmin = auth.requireRole('admin');
+app.use('/api/auth', auth.router);
+
+// Append-only trail of who touched which record (see audit.js)
+const audit = createAuditLog({
+    file: process.env.STORAGE_DRIVER === 'memory' ? null : undefined
+});
+
+// Outgoing notifications to downstream systems (see webhooks.js)
+const webhooks = createWebhooks({
+    file: process.env.STORAGE_DRIVER === 'memory' ? null : undefined
+});
 
-// Temporary storage for submitted data
-const submittedData = [];
+// Double opt-in: new submissions stay pending until the emailed link is
+// followed (see confirm.js); REQUIRE_EMAIL_CONFIRMATION=false turns it off
+const requireConfirmation = process.env.REQUIRE_EMAIL_CONFIRMATION !== 'false';
+const confirmations = createConfirmations();
+const mailer = createMailer({ log });
+
+// Files attached to submissions (see attachments.js)
+const uploads = createUploads();
+
+// Flood and bot protection for the public submit endpoints; every form
+// counts in its own buckets, so one form cannot use up another's budget
+const spamGuard = createSpamGuard();
+const submitLimitByIp = rateLimit({
+    windowMs: parseInt(process.env.SUBMIT_IP_WINDOW_MS || String(15 * 60 * 1000)),
+    max: parseInt(process.env.SUBMIT_IP_MAX || '20'),
+    key: req => `${req.form.definition.id}:${req.ip}`,
+    message: req => req.t('rateLimit.exceeded')
+});
+const submitLimitByEmail = rateLimit({
+    windowMs: parseInt(process.env.SUBMIT_EMAIL_WINDOW_MS || String(60 * 60 * 1000)),
+    max: parseInt(process.env.SUBMIT_EMAIL_MAX || '5'),
+    key: req => (req.body && typeof req.body.email === 'string'
+        ? `${req.form.definition.id}:${req.body.email.trim().toLowerCase()}`
+        : null),
+    message: req => req.t('rateLimit.exceeded')
+});
+const resendLimitByIp = rateLimit({
+    windowMs: parseInt(process.env.CONFIRM_RESEND_IP_WINDOW_MS || String(60 * 60 * 1000)),
+    max: parseInt(process.env.CONFIRM_RESEND_IP_MAX || '10'),
+    key: req => req.ip,
+    message: req => req.t('rateLimit.exceeded')
+});
+const resendLimitByEmail = rateLimit({
+    windowMs: parseInt(process.env.CONFIRM_RESEND_WINDOW_MS || String(60 * 60 * 1000)),
+    max: parseInt(process.env.CONFIRM_RESEND_MAX || '3'),
+    key: req => (req.body && typeof req.body.email === 'string'
+        ? `${req.form.definition.id}:${req.body.email.trim().toLowerCase()}`
+        : null),
+    message: req => req.t('rateLimit.exceeded')
+});
 
 // ============================================
 // SERVER-SIDE VALIDATION FUNCTIONS
 // ============================================
 
 /**
- * Validate full name
- * - Minimum 3 characters
- * - Only letters and spaces
+ * Main validation function - validates all fields of a form
+ * - Field rules and cross-field conditions come from the form's definition
+ *   (forms/<id>.json), then the server-only checks it lists, such as
+ *   disposable email domains and duplicates of the uniqueField (see
+ *   validators.js)
+ * - Unconfirmed registrations whose link has expired don't hold their value
+ * - options.excludeId: record to ignore in the duplicate check
+ * - options.locale: language of the returned messages (default English)
+ * - Resolves to { field: message }, or null when everything passes
+ */
+function validateFormData(form, data, options = {}) {
+    const locale = options.locale || DEFAULT_LOCALE;
+    return validator.validate(form.rules, data, formCatalog(form.definition, locale), {
+        store: form.store,
+        excludeId: options.excludeId,
+        ignore: record => confirmations.isExpired(record)
+    });
+}
+
+/**
+ * Count rejected fields for the form_validation_failures_total metric
+ * - source: submit, update or import
+ */
+function countValidationFailures(form, source, errors) {
+    Object.keys(errors).forEach(field => validationFailures.inc({ form: form.definition.id, source, field }));
+}
+
+/**
+ * Message for a value of the form's uniqueField that is already taken
  */
-function validateFullName(fullName) {
-    if (!fullName || typeof fullName !== 'string') {
-        return 'Full name is required';
+function takenError(req, form) {
+    const name = form.definition.uniqueField;
+    return SchemaValidator.message(name, form.rules.fields[name], 'taken', formCatalog(form.definition, req.locale));
+}
+
+/**
+ * Keep only the form's fields from a request body
+ * - Stops clients from overwriting id, timestamp or revision
+ * - Keeps spam-check fields (honeypot, form token) out of storage
+ */
+function pickFormFields(form, data) {
+    const fields = {};
+    Object.keys(form.rules.fields).forEach(name => {
+        if (data[name] !== undefined) fields[name] = data[name];
+    });
+    return fields;
+}
+
+/**
+ * Build a new record for the store
+ * - Normalizes the validated fields (phone numbers are stored as E.164)
+ * - Adds the creation timestamp and first revision
+ * - pending: wait for email confirmation (see confirm.js); otherwise the
+ *   record is confirmed at creation. Forms without confirmation get no
+ *   status fields
+ * - attachments: metadata of files already saved to disk
+ */
+function newRecord(form, data, pending = false, attachments = []) {
+    const record = {
+        timestamp: new Date().toISOString(),
+        ...SchemaValidator.normalize(form.rules, data),
+        updatedAt: null,
+        revision: 1
+    };
+    if (form.definition.confirmation) {
+        record.status = pending ? 'pending' : 'confirmed';
+        record.confirmedAt = pending ? null : record.timestamp;
+        record.confirmationExpiresAt = pending ? confirmations.expiry() : null;
     }
-    const trimmed = fullName.trim();
-    if (trimmed.length < 3) {
-        return 'Full name must be at least 3 characters';
+    if (form.definition.attachments) {
+        record.attachments = attachments;
     }
-    if (!/^[a-zA-Z\s]+$/.test(trimmed)) {
-        return 'Full name can only contain letters and spaces';
+    return record;
+}
+
+/**
+ * Record as returned by GET .../data/:id
+ * - Adds a download URL to each attachment
+ */
+function withAttachmentLinks(req, record) {
+    if (!record.attachments) return record;
+    return {
+        ...record,
+        attachments: record.attachments.map(attachment => ({
+            ...attachment,
+            url: `${req.baseUrl}/data/${record.id}/attachments/${attachment.id}`
+        }))
+    };
+}
+
+/**
+ * Free a unique value held by an expired, unconfirmed registration
+ * - The stale record is moved to the trash so the value can be used again
+ * - excludeId: the record being edited, which keeps its own value
+ */
+function releaseExpired(req, form, value, excludeId) {
+    if (!form.definition.confirmation) return;
+    const formId = form.definition.id;
+    const existing = form.store.findByKey(value);
+    if (existing && existing.id !== excludeId && confirmations.isExpired(existing)) {
+        const trashed = form.store.trash(existing.id);
+        audit.record(req, 'delete', {
+            form: formId,
+            recordId: trashed.id,
+            before: trashed,
+            details: { reason: 'confirmationExpired' }
+        });
+        webhooks.emit('submission.deleted', trashed, formId);
     }
-    return null;
 }
 
 /**
- * Validate email
- * - Valid email format
- * - Not already used (in demo)
+ * Absolute URL for links in emails
+ * - PUBLIC_URL when set (e.g. behind a proxy), else the request's host
+ */
+function publicUrl(req, pathname) {
+    const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}${pathname}`;
+}
+
+/**
+ * Email the confirmation link for a pending record
+ * - Goes to the address in the form's uniqueField
+ * - Sent in the background; failures are logged and the user can resend
+ */
+function sendConfirmation(req, form, record) {
+    const email = record[form.definition.uniqueField];
+    const token = confirmations.tokenFor(form.definition.id, record, email);
+    const params = {
+        name: record.fullName || record.name || email,
+        link: publicUrl(req, `/api/confirm?token=${encodeURIComponent(token)}`),
+        hours: Math.round(confirmations.ttl / (60 * 60 * 1000))
+    };
+    // Tracked so a shutdown waits for the mail to go out
+    lifecycle.track(mailer.send({
+        to: email,
+        subject: req.t('email.confirm.subject'),
+        text: req.t('email.confirm.body', params)
+    }).catch(err => {
+        req.log.error('Could not send confirmation email', { form: form.definition.id, recordId: record.id, err });
+    }));
+}
+
+// ============================================
+// API ENDPOINTS
+// ============================================
+
+/**
+ * GET /api/form-token
+ * Signed token the form must send back (minimum fill time check)
+ */
+app.get('/api/form-token', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        success: true,
+        token: spamGuard.issueToken()
+    });
+});
+
+/**
+ * GET /api/schema
+ * Validation schema of the contact form
+ */
+app.get('/api/schema', (req, res) => {
+    res.json({ ...contactForm.rules, attachments: uploads.rules });
+});
+
+/**
+ * GET /api/messages
+ * Message catalog for the negotiated locale (?lang= or Accept-Language)
+ */
+app.get('/api/messages', (req, res) => {
+    res.json({
+        success: true,
+        locale: req.locale,
+        supported: SUPPORTED_LOCALES,
+        messages: getMessages(req.locale)
+    });
+});
+
+// ============================================
+// EMAIL CONFIRMATION
+// ============================================
+
+/**
+ * Find the record a confirmation token points at (see confirm.js)
+ */
+function findConfirmable(formId, id) {
+    const form = forms.get(formId);
+    if (!form || !form.definition.confirmation) return null;
+    const record = form.store.findById(id);
+    return record ? { record, email: record[form.definition.uniqueField] } : null;
+}
+
+/**
+ * Answer a confirmation request with the outcome
+ * - confirmed, already and pending answer 200 with the record's status;
+ *   invalid is a 400 and expired a 410
+ */
+function sendConfirmOutcome(req, res, result, formId, record) {
+    const status = { pending: 200, confirmed: 200, already: 200, invalid: 400, expired: 410 }[result];
+    res.status(status).json({
+        success: status === 200,
+        message: req.t(`confirm.${result}`),
+        data: status === 200
+            ? { form: formId, id: record.id, status: record.status, confirmedAt: record.confirmedAt }
+            : undefined
+    });
+}
+
+/**
+ * GET /api/confirm?token=...
+ * Target of the emailed link; checks the token without confirming, so mail
+ * scanners and link previews that open it change nothing
+ * - Browsers are redirected to the form page with ?confirm=<outcome>; a
+ *   valid link shows a button there that POSTs the token back
+ * - Other clients get JSON: pending (call POST), already, invalid, expired
  */
-function validateEmail(email) {
-    if (!email || typeof email !== 'string') {
-        return 'Email is required';
+app.get('/api/confirm', (req, res) => {
+    const { outcome, form: formId, record } = confirmations.check(req.query.token, findConfirmable);
+    const result = outcome === 'confirm' ? 'pending' : outcome;
+
+    res.format({
+        json: () => sendConfirmOutcome(req, res, result, formId, record),
+        html: () => {
+            const formQuery = forms.get(formId) && formId !== CONTACT_FORM_ID ? `&form=${encodeURIComponent(formId)}` : '';
+            const tokenQuery = result === 'pending' ? `&token=${encodeURIComponent(req.query.token)}` : '';
+            res.redirect(`/?confirm=${result}${tokenQuery}${formQuery}&lang=${encodeURIComponent(req.locale)}`);
+        },
+        default: () => sendConfirmOutcome(req, res, result, formId, record)
+    });
+});
+
+/**
+ * POST /api/confirm
+ * Confirm a registration; body { token } with the token from the link
+ * - Outcomes: confirmed, already, invalid, expired (410)
+ */
+app.post('/api/confirm', (req, res) => {
+    const token = req.body && req.body.token;
+    const { outcome, form: formId, record } = confirmations.check(token, findConfirmable);
+
+    let confirmed = record;
+    if (outcome === 'confirm') {
+        const form = forms.get(formId);
+        confirmed = form.store.update(record.id, {
+            ...record,
+            status: 'confirmed',
+            confirmedAt: new Date().toISOString(),
+            confirmationExpiresAt: null
+        });
+        audit.record(req, 'confirm', { form: formId, recordId: record.id, before: record, after: confirmed });
+        webhooks.emit('submission.confirmed', confirmed, formId);
     }
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.trim())) {
-        return 'Invalid email format';
+
+    sendConfirmOutcome(req, res, outcome === 'confirm' ? 'confirmed' : outcome, formId, confirmed);
+});
+
+// ============================================
+// FORMS
+// ============================================
+
+/**
+ * GET /api/forms
+ * Forms the page can show, in the negotiated locale
+ */
+app.get('/api/forms', (req, res) => {
+    res.json({
+        success: true,
+        locale: req.locale,
+        data: Array.from(forms.values()).map(form => formSummary(form.definition, req.locale))
+    });
+});
+
+/**
+ * GET /api/forms/:formId
+ * Fields, rules and messages the page needs to render a form
+ */
+app.get('/api/forms/:formId', (req, res) => {
+    const form = forms.get(req.params.formId);
+    if (!form) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('forms.notFound')
+        });
     }
-    // Check for duplicates in temporary storage
-    if (submittedData.some(record => record.email.toLowerCase() === email.toLowerCase())) {
-        return 'This email has already been registered';
+
+    const body = { success: true, locale: req.locale, ...publicForm(form.definition, req.locale) };
+    if (form.definition.attachments) {
+        body.attachments = uploads.rules;
     }
-    return null;
+    res.json(body);
+});
+
+// ============================================
+// SUBMISSIONS
+// ============================================
+
+// Every form answers on the same routes below /api/forms/:formId; the
+// contact form also answers directly below /api (/api/submit, /api/data,
+// /api/trash, ...). Handlers find their form in req.form.
+const formRoutes = express.Router({ mergeParams: true });
+
+/**
+ * Skip routes for a feature the form does not have
+ * - flag: attachments, confirmation or uniqueField; the request falls
+ *   through to the JSON 404
+ */
+function formHas(flag) {
+    return (req, res, next) => (req.form.definition[flag] ? next() : next('router'));
 }
 
 /**
- * Validate phone number
- * - Format: 10 digits
+ * POST .../submit
+ * Submit and validate form data
+ * - JSON, or multipart/form-data with files in "attachments" for forms
+ *   that accept them
+ * - Rate limited per IP and per email
+ * - Rejects honeypot hits and forms filled in faster than a human could
+ */
+formRoutes.post('/submit',
+    submitLimitByIp,
+    (req, res, next) => uploads.parse(req.form.rules)(req, res, next),
+    submitLimitByEmail,
+    asyncRoute(async (req, res) => {
+        const form = req.form;
+        const { id: formId, uniqueField, attachments: acceptsFiles } = form.definition;
+        const data = req.body || {};
+
+        const spamError = spamGuard.check(data);
+        if (spamError) {
+            spamRejections.inc({ reason: spamError.replace(/^spam\./, '') });
+            return res.status(400).json({
+                success: false,
+                message: req.t(spamError)
+            });
+        }
+
+        // Validate form data and attachments
+        const files = req.files || [];
+        const validationErrors = await validateFormData(form, data, { locale: req.locale }) || {};
+        const attachmentError = acceptsFiles
+            ? uploads.check(files, req.t)
+            : (files.length > 0 ? req.t('fields.attachments.notAccepted') : null);
+        if (attachmentError) validationErrors.attachments = attachmentError;
+
+        if (Object.keys(validationErrors).length > 0) {
+            countValidationFailures(form, 'submit', validationErrors);
+            return res.status(400).json({
+                success: false,
+                message: req.t('validation.failed'),
+                errors: validationErrors
+            });
+        }
+
+        // One stored submission per form token (see spam.js)
+        const replayError = spamGuard.consume(data);
+        if (replayError) {
+            spamRejections.inc({ reason: replayError.replace(/^spam\./, '') });
+            return res.status(400).json({
+                success: false,
+                message: req.t(replayError)
+            });
+        }
+
+        // Store the data with timestamp
+        const pending = requireConfirmation && form.definition.confirmation;
+        const attachments = acceptsFiles ? uploads.store.save(files) : [];
+        let storedData;
+        try {
+            if (uniqueField) releaseExpired(req, form, data[uniqueField]);
+            storedData = form.store.insert(newRecord(form, pickFormFields(form, data), pending, attachments));
+        } catch (err) {
+            uploads.store.remove(attachments);
+            // Lost a race with another submission for the same value
+            if (err instanceof DuplicateKeyError) {
+                countValidationFailures(form, 'submit', { [uniqueField]: true });
+                return res.status(400).json({
+                    success: false,
+                    message: req.t('validation.failed'),
+                    errors: { [uniqueField]: takenError(req, form) }
+                });
+            }
+            throw err;
+        }
+
+        audit.record(req, 'create', { form: formId, recordId: storedData.id, after: storedData });
+        webhooks.emit('submission.created', storedData, formId);
+
+        if (storedData.status === 'pending') {
+            sendConfirmation(req, form, storedData);
+        }
+
+        // Echo the stored fields back for the page to show
+        const summary = {};
+        Object.keys(form.rules.fields).forEach(name => {
+            const value = storedData[name];
+            if (typeof value === 'boolean') {
+                summary[name] = req.t(value ? 'summary.yes' : 'summary.no');
+            } else {
+                summary[name] = value === undefined || value === '' ? req.t('summary.notProvided') : value;
+            }
+        });
+        if (acceptsFiles) {
+            summary.attachments = attachments.map(attachment => attachment.name).join(', ') || req.t('summary.none');
+        }
+
+        res.status(200).json({
+            success: true,
+            message: storedData.status === 'pending'
+                ? req.t('confirm.sent', { email: storedData[uniqueField] })
+                : req.t('submit.success'),
+            form: formId,
+            status: storedData.status,
+            data: summary,
+            recordId: storedData.id
+        });
+    })
+);
+
+/**
+ * POST .../confirm/resend
+ * Email a new confirmation link
+ * - Body: { email }, the address in the form's uniqueField
+ * - Always answers the same way, so it can't be used to probe for emails
+ * - Older links for the record stop working
  */
-function validatePhone(phone) {
-    if (!phone || typeof phone !== 'string') {
-        return 'Phone number is required';
+formRoutes.post('/confirm/resend', formHas('confirmation'), resendLimitByIp, resendLimitByEmail, (req, res) => {
+    const form = req.form;
+    const email = req.body && req.body.email;
+
+    if (typeof email !== 'string' || email.trim() === '') {
+        return res.status(400).json({
+            success: false,
+            message: req.t('validation.failed'),
+            errors: { email: req.t('default.required', { label: req.t('fields.email.label') }) }
+        });
     }
-    const phoneRegex = /^\d{10}$/;
-    if (!phoneRegex.test(phone.trim())) {
-        return 'Invalid phone format. Use: 10 digits only (e.g., 1234567890)';
+
+    const record = form.store.findByKey(email);
+    if (record && record.status === 'pending') {
+        const refreshed = form.store.update(record.id, {
+            ...record,
+            confirmationExpiresAt: confirmations.expiry()
+        });
+        audit.record(req, 'resendConfirmation', { form: form.definition.id, recordId: record.id });
+        sendConfirmation(req, form, refreshed);
     }
-    return null;
+
+    res.json({
+        success: true,
+        message: req.t('confirm.resent')
+    });
+});
+
+/**
+ * Build a link to the current list with some params replaced
+ * - Keeps filters, sort and search from the original query string
+ */
+function listLink(req, changes) {
+    const rawQuery = req.originalUrl.split('?')[1] || '';
+    const pairs = rawQuery.split('&').filter(pair => {
+        const key = decodeURIComponent(pair.split('=')[0]);
+        return pair && !Object.prototype.hasOwnProperty.call(changes, key);
+    });
+    Object.keys(changes).forEach(key => {
+        if (changes[key] !== null) {
+            pairs.push(`${key}=${encodeURIComponent(changes[key])}`);
+        }
+    });
+    return `${req.baseUrl}${req.path}${pairs.length ? '?' + pairs.join('&') : ''}`;
+}
+
+/**
+ * Build the JSON body for a paginated list
+ * - Shared by the data, trash and audit lists
+ */
+function listBody(req, options, result) {
+    return {
+        count: result.items.length,
+        total: result.total,
+        page: result.page,
+        limit: options.limit,
+        totalPages: result.totalPages,
+        links: {
+            self: req.originalUrl,
+            next: result.nextCursor
+                ? (options.cursor
+                    ? listLink(req, { cursor: result.nextCursor })
+                    : listLink(req, { page: options.page + 1, cursor: null }))
+                : null,
+            prev: result.hasPrev
+                ? listLink(req, { page: options.page - 1, cursor: null })
+                : null
+        },
+        nextCursor: result.nextCursor,
+        data: result.items
+    };
 }
 
 /**
- * Validate age
- * - Must be a number
- * - Between 18 and 120
+ * GET .../data
+ * Retrieve submitted data (for admin purposes)
+ * - Supports page/limit or cursor, sort, filters and q (see query.js)
  */
-function validateAge(age) {
-    if (age === null || age === undefined || age === '') {
-        return 'Age is required';
+formRoutes.get('/data', requireAdmin, (req, res) => {
+    const form = req.form;
+    const rawQuery = req.originalUrl.split('?')[1] || '';
+    const { options, errors } = parseListQuery(rawQuery, form.listFields, [], req.t);
+
+    if (errors) {
+        return res.status(400).json({
+            success: false,
+            message: req.t('query.invalid'),
+            errors
+        });
     }
-    const ageNum = parseInt(age);
-    if (isNaN(ageNum)) {
-        return 'Age must be a valid number';
+    options.searchFields = form.searchFields;
+
+    const result = applyListQuery(form.store.all(), options);
+    audit.record(req, 'list', { form: form.definition.id, details: { query: rawQuery, count: result.items.length } });
+
+    res.json(listBody(req, options, result));
+});
+
+/**
+ * GET .../data/export
+ * Download records as CSV, NDJSON or XLSX
+ * - format: csv (default), ndjson or xlsx
+ * - fields: comma-separated columns; output order is always the form's
+ *   list field order
+ * - Accepts the same sort, filters and q as GET .../data (no pagination)
+ */
+formRoutes.get('/data/export', requireAdmin, (req, res) => {
+    const form = req.form;
+    const rawQuery = req.originalUrl.split('?')[1] || '';
+    const { options, errors: queryErrors } = parseListQuery(rawQuery, form.listFields, ['format', 'fields'], req.t);
+    const errors = queryErrors || {};
+
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        errors.format = req.t('query.format', { formats: Object.keys(EXPORT_FORMATS).join(', ') });
     }
-    if (ageNum < 18 || ageNum > 120) {
-        return 'Age must be between 18 and 120';
+
+    const requested = typeof req.query.fields === 'string'
+        ? req.query.fields.split(',').map(f => f.trim()).filter(Boolean)
+        : [];
+    const unknown = requested.filter(field => !form.listFields.includes(field));
+    if (unknown.length > 0) {
+        errors.fields = req.t('query.fields', { fields: unknown.join(', ') });
     }
-    return null;
-}
+
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: req.t('query.invalid'),
+            errors
+        });
+    }
+
+    const columns = requested.length > 0
+        ? form.listFields.filter(field => requested.includes(field))
+        : form.listFields;
+
+    options.searchFields = form.searchFields;
+    const records = matchRecords(form.store.all(), options);
+    audit.record(req, 'export', { form: form.definition.id, details: { query: rawQuery, format, count: records.length } });
+
+    sendExport(res, format, records, columns, {
+        filename: `${form.definition.id}-${new Date().toISOString().slice(0, 10)}`,
+        numericColumns: form.numericColumns
+    });
+});
 
 /**
- * Validate country
- * - Must be selected from predefined list
+ * GET .../data/:id
+ * Retrieve specific record
  */
-function validateCountry(country) {
-    const validCountries = ['USA', 'UK', 'Canada', 'Australia', 'Other'];
-    if (!country) {
-        return 'Country is required';
+formRoutes.get('/data/:id', requireAdmin, (req, res) => {
+    const form = req.form;
+    const id = parseInt(req.params.id);
+    const record = form.store.findById(id);
+
+    if (!record) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('records.notFound')
+        });
     }
-    if (!validCountries.includes(country)) {
-        return 'Invalid country selection';
+
+    audit.record(req, 'view', { form: form.definition.id, recordId: id });
+
+    res.json({
+        success: true,
+        data: withAttachmentLinks(req, record)
+    });
+});
+
+/**
+ * GET .../data/:id/attachments/:attachmentId
+ * Download a file attached to a record
+ * - Sent as a download with the sniffed type, never rendered inline
+ */
+formRoutes.get('/data/:id/attachments/:attachmentId', formHas('attachments'), requireAdmin, (req, res) => {
+    const form = req.form;
+    const id = parseInt(req.params.id);
+    const record = form.store.findById(id);
+    const attachment = record && (record.attachments || []).find(a => a.id === req.params.attachmentId);
+
+    if (!attachment) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('records.attachmentNotFound')
+        });
     }
-    return null;
-}
+
+    audit.record(req, 'download', { form: form.definition.id, recordId: id, details: { attachment: attachment.id, name: attachment.name } });
+
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.download(uploads.store.filePath(attachment), attachment.name, {
+        headers: { 'Content-Type': attachment.mime }
+    }, err => {
+        if (err && !res.headersSent) {
+            res.status(404).json({
+                success: false,
+                message: req.t('records.attachmentNotFound')
+            });
+        }
+    });
+});
 
 /**
- * Validate website (optional field)
- * - Must start with http:// or https://
+ * POST .../data/import
+ * Bulk import records from CSV (text/csv) or a JSON array
+ * - Every row goes through validateFormData (rows are checked in
+ *   parallel), including duplicates of the uniqueField within the import
+ * - Valid rows are stored in one batch; invalid rows are reported and skipped,
+ *   as are rows whose unique value is taken while the import runs
+ * - Imported records count as confirmed from the moment they are stored
+ * - ?dryRun=true validates and reports without writing anything
  */
-function validateWebsite(website) {
-    if (!website) {
-        return null; // Optional field
+formRoutes.post('/data/import', requireAdmin,
+    express.json({ limit: IMPORT_LIMIT }),
+    express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_LIMIT }),
+    asyncRoute(async (req, res) => {
+        const form = req.form;
+        const formId = form.definition.id;
+        const uniqueField = form.definition.uniqueField;
+        const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+        let rows;
+        try {
+            rows = readImportRows(req.body, form.rules);
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                message: req.t('import.invalid', { reason: err.message })
+            });
+        }
+
+        const rowFields = rows.map(row => pickFormFields(form, row));
+        const rowErrors = await Promise.all(rowFields.map(fields =>
+            validateFormData(form, fields, { locale: req.locale })
+        ));
+
+        const seen = new Map();
+        const report = rowFields.map((fields, index) => {
+            const errors = rowErrors[index] || {};
+
+            const key = uniqueField ? uniqueKey(fields[uniqueField]) : null;
+            if (key !== null && !errors[uniqueField] && seen.has(key)) {
+                errors[uniqueField] = req.t('import.duplicate', { row: seen.get(key) });
+            }
+            if (key !== null && !seen.has(key)) {
+                seen.set(key, index + 1);
+            }
+
+            countValidationFailures(form, 'import', errors);
+            return Object.keys(errors).length > 0
+                ? { row: index + 1, status: 'rejected', errors }
+                : { row: index + 1, status: 'accepted', fields };
+        });
+
+        let accepted = report.filter(entry => entry.status === 'accepted');
+        if (!dryRun && accepted.length > 0) {
+            if (uniqueField) accepted.forEach(entry => releaseExpired(req, form, entry.fields[uniqueField]));
+            let stored = [];
+            while (accepted.length > 0) {
+                try {
+                    stored = form.store.insertMany(accepted.map(entry => newRecord(form, entry.fields)));
+                    break;
+                } catch (err) {
+                    // Another request stored the same value after the rows were
+                    // checked: reject that row and store the others
+                    const conflict = err instanceof DuplicateKeyError &&
+                        accepted.find(entry => uniqueKey(entry.fields[uniqueField]) === uniqueKey(err.value));
+                    if (!conflict) throw err;
+                    conflict.status = 'rejected';
+                    conflict.errors = { [uniqueField]: takenError(req, form) };
+                    countValidationFailures(form, 'import', conflict.errors);
+                    accepted = accepted.filter(entry => entry !== conflict);
+                }
+            }
+            accepted.forEach((entry, i) => {
+                entry.recordId = stored[i].id;
+                audit.record(req, 'create', {
+                    form: formId,
+                    recordId: stored[i].id,
+                    after: stored[i],
+                    details: { source: 'import', row: entry.row }
+                });
+                webhooks.emit('submission.created', stored[i], formId);
+            });
+        }
+        report.forEach(entry => {
+            delete entry.fields;
+        });
+
+        res.json({
+            success: accepted.length === report.length,
+            message: dryRun
+                ? req.t('import.dryRun', { accepted: accepted.length, total: report.length })
+                : req.t('import.done', { accepted: accepted.length, total: report.length }),
+            dryRun,
+            total: report.length,
+            accepted: accepted.length,
+            rejected: report.length - accepted.length,
+            rows: report
+        });
+    })
+);
+
+/**
+ * Shared handler for PUT and PATCH
+ * - PUT replaces every form field, PATCH merges into the existing record
+ * - The merged record is re-validated with validateFormData
+ * - Status, confirmation and attachments are kept as they are
+ */
+async function updateRecord(req, res, partial) {
+    const form = req.form;
+    const formId = form.definition.id;
+    const uniqueField = form.definition.uniqueField;
+    const id = parseInt(req.params.id);
+    const existing = form.store.findById(id);
+
+    if (!existing) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('records.notFound')
+        });
+    }
+
+    const fields = partial
+        ? { ...pickFormFields(form, existing), ...pickFormFields(form, req.body || {}) }
+        : pickFormFields(form, req.body || {});
+
+    const validationErrors = await validateFormData(form, fields, { excludeId: id, locale: req.locale });
+
+    if (validationErrors) {
+        countValidationFailures(form, 'update', validationErrors);
+        return res.status(400).json({
+            success: false,
+            message: req.t('validation.failed'),
+            errors: validationErrors
+        });
     }
-    if (typeof website !== 'string') {
-        return 'Website must be a valid string';
+
+    // Everything that is not a form field (status, attachments, ...)
+    const kept = {};
+    Object.keys(existing).forEach(key => {
+        if (!form.rules.fields[key]) kept[key] = existing[key];
+    });
+
+    let updated;
+    try {
+        if (uniqueField) releaseExpired(req, form, fields[uniqueField], id);
+        updated = form.store.update(id, {
+            ...kept,
+            ...SchemaValidator.normalize(form.rules, fields),
+            updatedAt: new Date().toISOString(),
+            revision: (existing.revision || 1) + 1
+        });
+    } catch (err) {
+        if (err instanceof DuplicateKeyError) {
+            return res.status(400).json({
+                success: false,
+                message: req.t('validation.failed'),
+                errors: { [uniqueField]: takenError(req, form) }
+            });
+        }
+        throw err;
     }
-    const urlRegex = /^https?:\/\/.+/;
-    if (!urlRegex.test(website.trim())) {
-        return 'URL must start with http:// or https://';
+
+    // Trashed by another request meanwhile
+    if (!updated) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('records.notFound')
+        });
     }
-    return null;
+
+    audit.record(req, 'update', { form: formId, recordId: id, before: existing, after: updated });
+    webhooks.emit('submission.updated', updated, formId);
+
+    res.json({
+        success: true,
+        message: req.t('records.updated'),
+        data: updated
+    });
 }
 
 /**
- * Validate message
- * - Minimum 10 characters
- * - Maximum 500 characters
+ * PUT .../data/:id
+ * Replace a record
  */
-function validateMessage(message) {
-    if (!message || typeof message !== 'string') {
-        return 'Message is required';
-    }
-    const trimmed = message.trim();
-    if (trimmed.length < 10) {
-        return 'Message must be at least 10 characters';
-    }
-    if (trimmed.length > 500) {
-        return 'Message cannot exceed 500 characters';
+formRoutes.put('/data/:id', requireAdmin, asyncRoute((req, res) => updateRecord(req, res, false)));
+
+/**
+ * PATCH .../data/:id
+ * Update some fields of a record
+ */
+formRoutes.patch('/data/:id', requireAdmin, asyncRoute((req, res) => updateRecord(req, res, true)));
+
+/**
+ * DELETE .../data/:id
+ * Move a record to the trash (see .../trash to restore or purge)
+ * - Attached files are kept until the record is purged
+ */
+formRoutes.delete('/data/:id', requireAdmin, (req, res) => {
+    const form = req.form;
+    const id = parseInt(req.params.id);
+    const deleted = form.store.trash(id);
+
+    if (!deleted) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('records.notFound')
+        });
     }
-    return null;
+
+    audit.record(req, 'delete', { form: form.definition.id, recordId: id, before: deleted });
+    webhooks.emit('submission.deleted', deleted, form.definition.id);
+
+    res.json({
+        success: true,
+        message: req.t('records.trashed'),
+        data: deleted
+    });
+});
+
+/**
+ * DELETE .../data
+ * Move all records to the trash
+ */
+formRoutes.delete('/data', requireAdmin, (req, res) => {
+    const form = req.form;
+    const trashed = form.store.trashAll();
+    trashed.forEach(record => {
+        audit.record(req, 'delete', { form: form.definition.id, recordId: record.id, before: record, details: { clearAll: true } });
+        webhooks.emit('submission.deleted', record, form.definition.id);
+    });
+
+    res.json({
+        success: true,
+        message: req.t('records.trashedAll', { count: trashed.length }),
+        count: trashed.length
+    });
+});
+
+// ============================================
+// TRASH
+// ============================================
+
+// Trashed records are purged automatically after this many days
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS || '30');
+
+/**
+ * Permanently remove trash older than the retention period
+ * - Runs hourly over every form's store; each purged record is written to
+ *   the audit log
+ * - Attached files are deleted with their record
+ */
+function purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    forms.forEach(form => {
+        form.store.purge({ olderThan: cutoff }).forEach(record => {
+            uploads.store.remove(record.attachments);
+            audit.append({
+                action: 'purge',
+                form: form.definition.id,
+                recordId: record.id,
+                actor: 'system',
+                before: record,
+                details: { retentionDays: TRASH_RETENTION_DAYS }
+            });
+        });
+    });
 }
 
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+
 /**
- * Validate agreement checkbox
- * - Must be true
+ * GET .../trash
+ * List trashed records
+ * - Same page/limit, cursor, sort, filters and q as GET .../data
  */
-function validateAgreement(agreement) {
-    if (agreement !== true) {
-        return 'You must agree to the terms and conditions';
+formRoutes.get('/trash', requireAdmin, (req, res) => {
+    const form = req.form;
+    const rawQuery = req.originalUrl.split('?')[1] || '';
+    const { options, errors } = parseListQuery(rawQuery, form.trashFields, [], req.t);
+
+    if (errors) {
+        return res.status(400).json({
+            success: false,
+            message: req.t('query.invalid'),
+            errors
+        });
     }
-    return null;
-}
+    options.searchFields = form.searchFields;
+
+    const result = applyListQuery(form.store.trashed(), options);
+
+    res.json(listBody(req, options, result));
+});
 
 /**
- * Main validation function - validates all fields
+ * POST .../trash/:id/restore
+ * Move a record back out of the trash
  */
-function validateFormData(data) {
-    const errors = {};
+formRoutes.post('/trash/:id/restore', requireAdmin, (req, res) => {
+    const form = req.form;
+    const uniqueField = form.definition.uniqueField;
+    const id = parseInt(req.params.id);
 
-    const fullNameError = validateFullName(data.fullName);
-    if (fullNameError) errors.fullName = fullNameError;
+    let restored;
+    try {
+        restored = form.store.restore(id);
+    } catch (err) {
+        if (err instanceof DuplicateKeyError) {
+            return res.status(409).json({
+                success: false,
+                message: req.t('trash.restoreConflict', { field: uniqueField }),
+                errors: { [uniqueField]: takenError(req, form) }
+            });
+        }
+        throw err;
+    }
 
-    const emailError = validateEmail(data.email);
-    if (emailError) errors.email = emailError;
+    if (!restored) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('trash.notFound')
+        });
+    }
+
+    audit.record(req, 'restore', { form: form.definition.id, recordId: id, after: restored });
+
+    res.json({
+        success: true,
+        message: req.t('trash.restored'),
+        data: restored
+    });
+});
 
-    const phoneError = validatePhone(data.phone);
-    if (phoneError) errors.phone = phoneError;
+/**
+ * DELETE .../trash/:id
+ * Permanently delete a trashed record and its attached files
+ */
+formRoutes.delete('/trash/:id', requireAdmin, (req, res) => {
+    const form = req.form;
+    const id = parseInt(req.params.id);
+    const [purged] = form.store.purge({ ids: [id] });
 
-    const ageError = validateAge(data.age);
-    if (ageError) errors.age = ageError;
+    if (!purged) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('trash.notFound')
+        });
+    }
 
-    const countryError = validateCountry(data.country);
-    if (countryError) errors.country = countryError;
+    uploads.store.remove(purged.attachments);
 
-    const websiteError = validateWebsite(data.website);
-    if (websiteError) errors.website = websiteError;
+    audit.record(req, 'purge', { form: form.definition.id, recordId: id, before: purged });
 
-    const messageError = validateMessage(data.message);
-    if (messageError) errors.message = messageError;
+    res.json({
+        success: true,
+        message: req.t('trash.purged'),
+        data: purged
+    });
+});
 
-    const agreementError = validateAgreement(data.agreement);
-    if (agreementError) errors.agreement = agreementError;
+/**
+ * DELETE .../trash
+ * Empty the trash, deleting attached files
+ */
+formRoutes.delete('/trash', requireAdmin, (req, res) => {
+    const form = req.form;
+    const purged = form.store.purge();
+    purged.forEach(record => {
+        uploads.store.remove(record.attachments);
+        audit.record(req, 'purge', { form: form.definition.id, recordId: record.id, before: record });
+    });
 
-    return Object.keys(errors).length === 0 ? null : errors;
-}
+    res.json({
+        success: true,
+        message: req.t('trash.purgedAll', { count: purged.length }),
+        count: purged.length
+    });
+});
+
+app.use('/api/forms/:formId', (req, res, next) => {
+    req.form = forms.get(req.params.formId);
+    if (!req.form) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('forms.notFound')
+        });
+    }
+    next();
+}, formRoutes);
+
+app.use('/api', (req, res, next) => {
+    req.form = contactForm;
+    next();
+}, formRoutes);
 
 // ============================================
-// API ENDPOINTS
+// AUDIT LOG
 // ============================================
 
+// Fields that GET /api/audit can sort and filter on
+const AUDIT_FIELDS = ['id', 'at', 'action', 'form', 'recordId', 'actor', 'role', 'ip'];
+
 /**
- * POST /api/submit
- * Submit and validate form data
+ * GET /api/audit
+ * Query the audit trail
+ * - Same page/limit, cursor, sort and filters as GET /api/data,
+ *   e.g. ?action=delete&recordId=3&at>=2024-01-01
  */
-app.post('/api/submit', (req, res) => {
-    const data = req.body;
+app.get('/api/audit', requireAdmin, (req, res) => {
+    const rawQuery = req.originalUrl.split('?')[1] || '';
+    const { options, errors } = parseListQuery(rawQuery, AUDIT_FIELDS, [], req.t);
+
+    if (errors) {
+        return res.status(400).json({
+            success: false,
+            message: req.t('query.invalid'),
+            errors
+        });
+    }
 
-    // Validate form data
-    const validationErrors = validateFormData(data);
+    const result = applyListQuery(audit.all(), options);
 
-    if (validationErrors) {
+    res.json(listBody(req, options, result));
+});
+
+/**
+ * GET /api/audit/export
+ * Download the (filtered) audit trail for compliance
+ * - format: ndjson (default), csv or xlsx; before/after are JSON strings
+ *   in csv and xlsx
+ */
+app.get('/api/audit/export', requireAdmin, (req, res) => {
+    const rawQuery = req.originalUrl.split('?')[1] || '';
+    const { options, errors } = parseListQuery(rawQuery, AUDIT_FIELDS, ['format'], req.t);
+    const format = req.query.format || 'ndjson';
+
+    if (errors || !EXPORT_FORMATS[format]) {
         return res.status(400).json({
             success: false,
-            message: 'Validation failed',
-            errors: validationErrors
+            message: req.t('query.invalid'),
+            errors: errors || {
+                format: req.t('query.format', { formats: Object.keys(EXPORT_FORMATS).join(', ') })
+            }
         });
     }
 
-    // Store the data temporarily with timestamp
-    const storedData = {
-        id: submittedData.length + 1,
-        timestamp: new Date().toISOString(),
-        ...data
-    };
+    const columns = [...AUDIT_FIELDS, 'before', 'after', 'details'];
+    let entries = matchRecords(audit.all(), options);
+    if (format !== 'ndjson') {
+        entries = entries.map(entry => ({
+            ...entry,
+            before: entry.before && JSON.stringify(entry.before),
+            after: entry.after && JSON.stringify(entry.after),
+            details: entry.details && JSON.stringify(entry.details)
+        }));
+    }
 
-    submittedData.push(storedData);
+    sendExport(res, format, entries, columns, {
+        filename: `audit-${new Date().toISOString().slice(0, 10)}`,
+        numericColumns: ['id', 'recordId']
+    });
+});
 
-    // Return success with the stored data
-    res.status(200).json({
+// ============================================
+// WEBHOOKS
+// ============================================
+
+// Fields that GET /api/webhooks/deliveries can sort and filter on
+const DELIVERY_FIELDS = ['id', 'subscriptionId', 'event', 'status', 'createdAt', 'completedAt', 'replayOf'];
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions (secrets are not included)
+ */
+app.get('/api/webhooks', requireAdmin, (req, res) => {
+    const subscriptions = webhooks.allSubscriptions().map(publicSubscription);
+    res.json({
         success: true,
-        message: 'Form submitted successfully',
-        data: {
-            fullName: data.fullName,
-            email: data.email,
-            phone: data.phone,
-            age: data.age,
-            country: data.country,
-            website: data.website || '(Not provided)',
-            message: data.message,
-            agreement: data.agreement ? 'Yes' : 'No'
-        },
-        recordId: storedData.id
+        count: subscriptions.length,
+        data: subscriptions
+    });
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to submission events
+ * - events defaults to all; secret is generated when omitted
+ * - The response is the only place the secret is shown
+ */
+app.post('/api/webhooks', requireAdmin, (req, res) => {
+    const data = req.body || {};
+    const errors = validateSubscription(data, false, req.t);
+
+    if (errors) {
+        return res.status(400).json({
+            success: false,
+            message: req.t('webhooks.invalid'),
+            errors
+        });
+    }
+
+    const subscription = webhooks.createSubscription(data);
+    res.status(201).json({
+        success: true,
+        message: req.t('webhooks.created'),
+        data: subscription
     });
 });
 
 /**
- * GET /api/data
- * Retrieve all submitted data (for admin purposes)
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest last
+ * - Same page/limit, cursor, sort and filters as GET /api/data,
+ *   e.g. ?status=failed&subscriptionId=2
+ */
+app.get('/api/webhooks/deliveries', requireAdmin, (req, res) => {
+    const rawQuery = req.originalUrl.split('?')[1] || '';
+    const { options, errors } = parseListQuery(rawQuery, DELIVERY_FIELDS, [], req.t);
+
+    if (errors) {
+        return res.status(400).json({
+            success: false,
+            message: req.t('query.invalid'),
+            errors
+        });
+    }
+
+    const result = applyListQuery(webhooks.allDeliveries(), options);
+
+    res.json(listBody(req, options, result));
+});
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ * One delivery with its payload and every attempt
  */
-app.get('/api/data', (req, res) => {
+app.get('/api/webhooks/deliveries/:id', requireAdmin, (req, res) => {
+    const delivery = webhooks.findDelivery(parseInt(req.params.id));
+
+    if (!delivery) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('webhooks.deliveryNotFound')
+        });
+    }
+
     res.json({
-        count: submittedData.length,
-        data: submittedData
+        success: true,
+        data: delivery
     });
 });
 
 /**
- * GET /api/data/:id
- * Retrieve specific record
+ * POST /api/webhooks/deliveries/:id/replay
+ * Send a finished delivery again (as a new delivery with replayOf set)
  */
-app.get('/api/data/:id', (req, res) => {
-    const id = parseInt(req.params.id);
-    const record = submittedData.find(r => r.id === id);
+app.post('/api/webhooks/deliveries/:id/replay', requireAdmin, (req, res) => {
+    const original = webhooks.findDelivery(parseInt(req.params.id));
 
-    if (!record) {
+    if (!original) {
         return res.status(404).json({
             success: false,
-            message: 'Record not found'
+            message: req.t('webhooks.deliveryNotFound')
+        });
+    }
+
+    if (original.status === 'pending') {
+        return res.status(409).json({
+            success: false,
+            message: req.t('webhooks.deliveryPending')
+        });
+    }
+
+    if (!webhooks.findSubscription(original.subscriptionId)) {
+        return res.status(409).json({
+            success: false,
+            message: req.t('webhooks.subscriptionGone')
+        });
+    }
+
+    res.status(202).json({
+        success: true,
+        message: req.t('webhooks.deliveryQueued'),
+        data: webhooks.replay(original.id)
+    });
+});
+
+/**
+ * GET /api/webhooks/:id
+ * One subscription (without its secret)
+ */
+app.get('/api/webhooks/:id', requireAdmin, (req, res) => {
+    const subscription = webhooks.findSubscription(parseInt(req.params.id));
+
+    if (!subscription) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('webhooks.notFound')
         });
     }
 
     res.json({
         success: true,
-        data: record
+        data: publicSubscription(subscription)
     });
 });
 
 /**
- * DELETE /api/data/:id
- * Delete a record
+ * PATCH /api/webhooks/:id
+ * Change url, events, description, secret or active
  */
-app.delete('/api/data/:id', (req, res) => {
+app.patch('/api/webhooks/:id', requireAdmin, (req, res) => {
     const id = parseInt(req.params.id);
-    const index = submittedData.findIndex(r => r.id === id);
+    const data = req.body || {};
 
-    if (index === -1) {
+    if (!webhooks.findSubscription(id)) {
         return res.status(404).json({
             success: false,
-            message: 'Record not found'
+            message: req.t('webhooks.notFound')
+        });
+    }
+
+    const errors = validateSubscription(data, true, req.t);
+    if (errors) {
+        return res.status(400).json({
+            success: false,
+            message: req.t('webhooks.invalid'),
+            errors
         });
     }
 
-    const deleted = submittedData.splice(index, 1);
     res.json({
         success: true,
-        message: 'Record deleted',
-        data: deleted[0]
+        message: req.t('webhooks.updated'),
+        data: publicSubscription(webhooks.updateSubscription(id, data))
     });
 });
 
 /**
- * DELETE /api/data
- * Clear all data
+ * DELETE /api/webhooks/:id
+ * Unsubscribe; deliveries stay in the log
  */
-app.delete('/api/data', (req, res) => {
-    const count = submittedData.length;
-    submittedData.length = 0;
+app.delete('/api/webhooks/:id', requireAdmin, (req, res) => {
+    const removed = webhooks.deleteSubscription(parseInt(req.params.id));
+
+    if (!removed) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('webhooks.notFound')
+        });
+    }
 
     res.json({
         success: true,
-        message: `Cleared ${count} records`,
-        count
+        message: req.t('webhooks.deleted'),
+        data: publicSubscription(removed)
+    });
+});
+
+/**
+ * POST /api/webhooks/:id/ping
+ * Send a test "ping" event to the subscription URL
+ */
+app.post('/api/webhooks/:id/ping', requireAdmin, (req, res) => {
+    const subscription = webhooks.findSubscription(parseInt(req.params.id));
+
+    if (!subscription) {
+        return res.status(404).json({
+            success: false,
+            message: req.t('webhooks.notFound')
+        });
+    }
+
+    res.status(202).json({
+        success: true,
+        message: req.t('webhooks.pingQueued'),
+        data: webhooks.ping(subscription)
     });
 });
 
+// ============================================
+// MONITORING
+// ============================================
+
+metrics.gauge('form_records', 'Active records by confirmation status', () =>
+    ['pending', 'confirmed'].map(status => ({
+        labels: { status },
+        value: store.all().filter(record => (record.status || 'confirmed') === status).length
+    }))
+);
+metrics.gauge('form_records_trashed', 'Records in the trash', () => store.trashed().length);
+metrics.gauge('form_submissions', 'Stored submissions by form', () =>
+    Array.from(forms.values()).map(form => ({
+        labels: { form: form.definition.id },
+        value: form.store.count()
+    }))
+);
+metrics.gauge('webhook_deliveries', 'Webhook deliveries in the log by status', () =>
+    ['pending', 'succeeded', 'failed'].map(status => ({
+        labels: { status },
+        value: webhooks.allDeliveries().filter(delivery => delivery.status === status).length
+    }))
+);
+
+/**
+ * GET /metrics
+ * Prometheus text format; set METRICS_TOKEN to require
+ * "Authorization: Bearer <token>"
+ */
+app.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({
+            success: false,
+            message: req.t('metrics.tokenRequired')
+        });
+    }
+    res.type(Registry.contentType).send(metrics.render());
+});
+
+/**
+ * GET /health
+ * Readiness check: 200 when storage and the upload directory are
+ * writable, 503 otherwise
+ */
+app.get('/health', healthCheck({
+    storage: () => store.check(),
+    forms: () => customForms.forEach(form => form.store.check()),
+    uploads: () => uploads.store.check()
+}));
+
+// ============================================
+// API DOCUMENTATION
+// ============================================
+
+// Generated from the form definitions and the list fields above (see openapi.js)
+const apiSpec = buildSpec({
+    auditFields: AUDIT_FIELDS,
+    deliveryFields: DELIVERY_FIELDS,
+    webhookEvents: WEBHOOK_EVENTS,
+    exportFormats: Object.keys(EXPORT_FORMATS),
+    attachmentRules: uploads.rules,
+    forms: Array.from(forms.values())
+});
+const specValidator = createSpecValidator(apiSpec, { log: message => log.warn(message) });
+
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3.1 description of every endpoint
+ */
+app.get('/api/openapi.json', (req, res) => {
+    res.json(apiSpec);
+});
+
+/**
+ * GET /api/docs
+ * Interactive explorer for the OpenAPI document
+ */
+app.get('/api/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, 'docs.html'));
+});
+
 // ============================================
 // SERVE HTML
 // ============================================
@@ -313,24 +1567,24 @@ app.get('/', (req, res) => {
 // ERROR HANDLING
 // ============================================
 
+// The process may be in a bad state, but in-flight requests still get a
+// chance to finish before it exits with status 1
 process.on('uncaughtException', (err) => {
-    console.error('Uncaught Exception:', err);
-    process.exit(1);
+    log.error('Uncaught exception', { err });
+    lifecycle.shutdown('uncaughtException', 1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    process.exit(1);
+process.on('unhandledRejection', (reason) => {
+    log.error('Unhandled rejection', reason instanceof Error ? { err: reason } : { reason: String(reason) });
+    lifecycle.shutdown('unhandledRejection', 1);
 });
 
-app.use((err, req, res, next) => {
-    console.error('Error:', err);
-    res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: process.env.NODE_ENV === 'development' ? err.message : undefined
-    });
-});
+// Unknown API paths get a JSON 404 instead of Express's HTML page
+app.use('/api', notFound);
+
+// Malformed or oversized bodies are the client's fault (4xx); anything
+// else is a 500 and is logged with its stack
+app.use(errorHandler({ log, exposeErrors: process.env.NODE_ENV === 'development' }));
 
 // ============================================
 // START SERVER
@@ -338,14 +1592,32 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 8080;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`\n${'='.repeat(60)}`);
     console.log(`  ✓ Server Running on http://localhost:${PORT}`);
     console.log(`  ✓ Form Page: http://localhost:${PORT}`);
-    console.log(`  ✓ View Data: http://localhost:${PORT}/api/data`);
+    console.log(`  ✓ Forms: ${Array.from(forms.keys()).join(', ')}`);
+    console.log(`  ✓ View Data: http://localhost:${PORT}/api/data (admin login required)`);
+    console.log(`  ✓ API Docs: http://localhost:${PORT}/api/docs`);
+    if (process.env.NODE_ENV === 'development') {
+        console.log(`  ✓ OpenAPI request/response checks on (NODE_ENV=development)`);
+    }
     console.log(`  ✓ Node.js Server-Side Validation Active`);
+    if (requireConfirmation && !confirmations.persistentSecret && process.env.STORAGE_DRIVER !== 'memory') {
+        console.log(`  ! CONFIRM_TOKEN_SECRET is not set: confirmation links stop working on restart`);
+    }
+    if (auth.users.count() === 0) {
+        console.log(`  ! No admin users yet: npm run create-user -- <username> <password>`);
+    }
     console.log(`${'='.repeat(60)}\n`);
 }).on('error', (err) => {
-    console.error('Server error:', err);
+    log.error('Server error', { err });
     process.exit(1);
 });
+
+// Once requests have drained: stop webhook retries (pending deliveries
+// resume on the next start) and write out anything the store holds
+lifecycle.onShutdown(() => webhooks.stop());
+lifecycle.onShutdown(() => store.flush());
+lifecycle.onShutdown(() => customForms.forEach(form => form.store.flush()));
+lifecycle.attach(server);
@@ -0,0 +1,132 @@
+/**
+ * Graceful shutdown
+ * - On SIGTERM/SIGINT (or a fatal error) the server stops accepting
+ *   connections and lets in-flight requests and tracked background work
+ *   (e.g. outgoing mail) finish
+ * - Requests arriving meanwhile on kept-alive connections get a 503
+ * - After options.timeout the remaining connections are closed anyway
+ * - Cleanup hooks then run in order (flush storage, stop timers) and the
+ *   process exits; a second signal exits at once
+ */
+
+const DEFAULT_TIMEOUT = 10000; // 10 seconds
+
+/**
+ * Set up shutdown handling
+ * - options.log: structured logger
+ * - options.timeout: ms to wait for requests to drain (env: SHUTDOWN_TIMEOUT_MS)
+ *
+ * Returns { guard, track, onShutdown, attach, shutdown, isShuttingDown }
+ */
+function createShutdown(options) {
+    const log = options.log;
+    const timeout = options.timeout || parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || DEFAULT_TIMEOUT;
+    const hooks = [];
+    const pending = new Set();
+    let server = null;
+    let shuttingDown = false;
+
+    /**
+     * Express middleware turning requests away once shutdown has begun
+     * - Mounted ahead of errorCodes() (see errors.js), so it sets its own code
+     */
+    function guard(req, res, next) {
+        if (!shuttingDown) return next();
+        res.set('Connection', 'close');
+        res.set('Retry-After', '5');
+        res.status(503).json({
+            success: false,
+            code: 'SERVICE_UNAVAILABLE',
+            message: req.t('errors.shuttingDown')
+        });
+    }
+
+    /**
+     * Keep a promise of background work alive until shutdown
+     */
+    function track(promise) {
+        pending.add(promise);
+        const settle = () => pending.delete(promise);
+        promise.then(settle, settle);
+        return promise;
+    }
+
+    /**
+     * Register a cleanup function (sync or returning a promise); hooks run
+     * in registration order once requests have drained
+     */
+    function onShutdown(hook) {
+        hooks.push(hook);
+    }
+
+    /**
+     * The HTTP server to drain
+     */
+    function attach(httpServer) {
+        server = httpServer;
+        ['SIGTERM', 'SIGINT'].forEach(signal => {
+            process.on(signal, () => shutdown(signal, 0));
+        });
+    }
+
+    // Resolves when the server has closed, or after the timeout
+    function drain() {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                log.warn('Shutdown timeout reached, closing remaining connections', { timeoutMs: timeout });
+                if (server && server.closeAllConnections) server.closeAllConnections();
+                resolve();
+            }, timeout);
+            timer.unref();
+
+            const work = Promise.allSettled(Array.from(pending));
+            const closed = new Promise(done => {
+                if (!server || !server.listening) return done();
+                server.close(() => done());
+                if (server.closeIdleConnections) server.closeIdleConnections();
+            });
+            Promise.all([closed, work]).then(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop the server and exit
+     * - reason: signal name or what went wrong, for the log
+     */
+    async function shutdown(reason, exitCode) {
+        if (shuttingDown) {
+            log.warn('Shutdown already in progress, exiting now', { reason });
+            process.exit(exitCode || 1);
+        }
+        shuttingDown = true;
+        log.info('Shutting down', { reason, inFlightWork: pending.size, timeoutMs: timeout });
+
+        await drain();
+        for (const hook of hooks) {
+            try {
+                await hook();
+            } catch (err) {
+                log.error('Shutdown cleanup failed', { err });
+                exitCode = exitCode || 1;
+            }
+        }
+        log.info('Shutdown complete', { exitCode });
+        process.exit(exitCode);
+    }
+
+    return {
+        guard,
+        track,
+        onShutdown,
+        attach,
+        shutdown,
+        isShuttingDown: () => shuttingDown
+    };
+}
+
+module.exports = {
+    createShutdown
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+/**
+ * Anti-spam checks for POST /api/submit
+ * - Honeypot: a hidden field real users never fill in
+ * - Minimum fill time: the page fetches a signed form token on load; a
+ *   submission must come at least minFillMs after the token was issued
+ * - Each token carries a nonce and is accepted for one stored submission,
+ *   so a bot can't fetch one token and replay it all day
+ */
+
+const HONEYPOT_FIELD = 'nickname';
+const TOKEN_FIELD = 'formToken';
+const TOKEN_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Set up the spam checks
+ * - options.secret: HMAC key for form tokens      (env: FORM_TOKEN_SECRET)
+ * - options.minFillMs: 0 disables the token check (env: MIN_FILL_TIME_MS)
+ * - Used nonces are kept in memory until their token would have expired
+ *   anyway, so a restart forgets them
+ *
+ * Returns { issueToken, check, consume }
+ */
+function createSpamGuard(options = {}) {
+    const secret = options.secret || process.env.FORM_TOKEN_SECRET ||
+        crypto.randomBytes(32).toString('hex');
+    const minFillMs = options.minFillMs !== undefined
+        ? options.minFillMs
+        : parseInt(process.env.MIN_FILL_TIME_MS || '3000');
+
+    // nonce -> time its token expires
+    const used = new Map();
+
+    // unref: the sweep alone must not keep the process running
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        used.forEach((expiresAt, nonce) => {
+            if (expiresAt <= now) used.delete(nonce);
+        });
+    }, 60 * 1000);
+    sweeper.unref();
+
+    function sign(issuedAt, nonce) {
+        return crypto.createHmac('sha256', secret).update(`${issuedAt}.${nonce}`).digest('hex');
+    }
+
+    /**
+     * Issue a token stamped with the current time and a fresh nonce
+     */
+    function issueToken() {
+        const issuedAt = Date.now();
+        const nonce = crypto.randomBytes(16).toString('hex');
+        return `${issuedAt}.${nonce}.${sign(issuedAt, nonce)}`;
+    }
+
+    function checkToken(token) {
+        if (typeof token !== 'string') {
+            return 'spam.tokenMissing';
+        }
+        const [issuedAt, nonce, signature] = token.split('.');
+        const expected = sign(issuedAt, nonce);
+        if (!signature || signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            return 'spam.tokenInvalid';
+        }
+        if (used.has(nonce)) {
+            return 'spam.tokenUsed';
+        }
+        const age = Date.now() - parseInt(issuedAt);
+        if (age > TOKEN_MAX_AGE) {
+            return 'spam.tokenExpired';
+        }
+        if (age < minFillMs) {
+            return 'spam.tooFast';
+        }
+        return null;
+    }
+
+    /**
+     * Check a submission body
+     * - Returns a rejection message key (see locales/*.json), or null when
+     *   it looks human
+     */
+    function check(data) {
+        if (data[HONEYPOT_FIELD]) {
+            return 'spam.honeypot';
+        }
+        return minFillMs > 0 ? checkToken(data[TOKEN_FIELD]) : null;
+    }
+
+    /**
+     * Use up the token of a submission that is about to be stored
+     * - Call after check() passed and the data validated, so fixing
+     *   validation errors doesn't need a new token
+     * - Returns spam.tokenUsed when another request got there first, else null
+     */
+    function consume(data) {
+        if (minFillMs <= 0) {
+            return null;
+        }
+        const [issuedAt, nonce] = data[TOKEN_FIELD].split('.');
+        if (used.has(nonce)) {
+            return 'spam.tokenUsed';
+        }
+        used.set(nonce, parseInt(issuedAt) + TOKEN_MAX_AGE);
+        return null;
+    }
+
+    return { issueToken, check, consume };
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    TOKEN_FIELD,
+    createSpamGuard
+};
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// ERRORS
+// ============================================
+
+/**
+ * Thrown when a write would violate a unique index
+ * - `field` names the indexed field (e.g. "email")
+ */
+class DuplicateKeyError extends Error {
+    constructor(field, value) {
+        super(`Duplicate value for unique field "${field}": ${value}`);
+        this.name = 'DuplicateKeyError';
+        this.code = 'DUPLICATE_KEY';
+        this.field = field;
+        this.value = value;
+    }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Normalize a value for the unique index (e.g. an email)
+ * - Trimmed and lower-cased
+ */
+function uniqueKey(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * Write a file atomically
+ * - Data goes to a temporary file in the same directory first
+ * - The temporary file is fsync'd and renamed over the target, so readers
+ *   see either the old or the new content, never a partial write
+ */
+function writeFileAtomic(filePath, contents) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    try {
+        fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+        try {
+            fs.unlinkSync(tmpPath);
+        } catch (ignored) {
+            // Temporary file already gone
+        }
+        throw err;
+    }
+}
+
+// ============================================
+// STORES
+// ============================================
+
+/**
+ * In-memory store
+ * - Keeps records in an array with a unique index on one field
+ *   (options.uniqueField, default "email"; null for no index)
+ * - Deleting is soft: trashed records keep a `deletedAt` timestamp, are
+ *   hidden from all()/count()/find*() and release their unique value
+ * - Nothing survives a restart; meant for tests and demos
+ */
+class MemoryStore {
+    constructor(options = {}) {
+        this.records = [];
+        this.nextId = 1;
+        this.uniqueField = options.uniqueField === undefined ? 'email' : options.uniqueField;
+        this.uniqueIndex = new Map();
+    }
+
+    // Index key of a record, or null when it has nothing to index
+    keyOf(record) {
+        const key = this.uniqueField ? uniqueKey(record[this.uniqueField]) : '';
+        return key === '' ? null : key;
+    }
+
+    /**
+     * Rebuild state from a plain snapshot ({ nextId, records })
+     */
+    restoreSnapshot(snapshot) {
+        this.records = snapshot.records.map(record => ({ ...record }));
+        this.nextId = snapshot.nextId;
+        this.uniqueIndex = new Map();
+        for (const record of this.records) {
+            const key = this.keyOf(record);
+            if (!record.deletedAt && key !== null) {
+                this.uniqueIndex.set(key, record.id);
+            }
+        }
+    }
+
+    snapshot() {
+        return {
+            nextId: this.nextId,
+            records: this.records.map(record => ({ ...record }))
+        };
+    }
+
+    all() {
+        return this.records.filter(r => !r.deletedAt).map(record => ({ ...record }));
+    }
+
+    count() {
+        return this.records.filter(r => !r.deletedAt).length;
+    }
+
+    findById(id) {
+        const record = this.records.find(r => r.id === id && !r.deletedAt);
+        return record ? { ...record } : null;
+    }
+
+    trashed() {
+        return this.records.filter(r => r.deletedAt).map(record => ({ ...record }));
+    }
+
+    findTrashedById(id) {
+        const record = this.records.find(r => r.id === id && r.deletedAt);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * Active record whose unique field has this value
+     */
+    findByKey(value) {
+        const id = this.uniqueIndex.get(uniqueKey(value));
+        return id === undefined ? null : this.findById(id);
+    }
+
+    findByEmail(email) {
+        return this.findByKey(email);
+    }
+
+    /**
+     * Insert a new record
+     * - Assigns a fresh id
+     * - Throws DuplicateKeyError if the unique value is already indexed
+     */
+    insert(data) {
+        const key = this.keyOf(data);
+        if (key !== null && this.uniqueIndex.has(key)) {
+            throw new DuplicateKeyError(this.uniqueField, data[this.uniqueField]);
+        }
+        // Keep id first in the stored record, but never let data override it
+        const record = { id: null, ...data };
+        record.id = this.nextId++;
+        this.records.push(record);
+        if (key !== null) this.uniqueIndex.set(key, record.id);
+        return { ...record };
+    }
+
+    /**
+     * Insert several records as one batch
+     * - Either every record is inserted or none is
+     */
+    insertMany(list) {
+        const before = this.snapshot();
+        try {
+            return list.map(data => MemoryStore.prototype.insert.call(this, data));
+        } catch (err) {
+            this.restoreSnapshot(before);
+            throw err;
+        }
+    }
+
+    /**
+     * Replace an existing record
+     * - The id is kept; every other field comes from data
+     * - Throws DuplicateKeyError if the unique value belongs to another record
+     * - Returns the updated record, or null if it did not exist
+     */
+    update(id, data) {
+        const index = this.records.findIndex(r => r.id === id && !r.deletedAt);
+        if (index === -1) {
+            return null;
+        }
+        const key = this.keyOf(data);
+        const owner = key === null ? undefined : this.uniqueIndex.get(key);
+        if (owner !== undefined && owner !== id) {
+            throw new DuplicateKeyError(this.uniqueField, data[this.uniqueField]);
+        }
+        const record = { id: null, ...data };
+        record.id = id;
+        const previousKey = this.keyOf(this.records[index]);
+        if (previousKey !== null) this.uniqueIndex.delete(previousKey);
+        if (key !== null) this.uniqueIndex.set(key, id);
+        this.records[index] = record;
+        return { ...record };
+    }
+
+    /**
+     * Move a record to the trash
+     * - Returns the trashed record, or null if there was no active record
+     */
+    trash(id) {
+        const record = this.records.find(r => r.id === id && !r.deletedAt);
+        if (!record) {
+            return null;
+        }
+        record.deletedAt = new Date().toISOString();
+        const key = this.keyOf(record);
+        if (key !== null) this.uniqueIndex.delete(key);
+        return { ...record };
+    }
+
+    /**
+     * Move every active record to the trash
+     * - Returns the trashed records
+     */
+    trashAll() {
+        return this.all().map(record => MemoryStore.prototype.trash.call(this, record.id));
+    }
+
+    /**
+     * Bring a record back from the trash
+     * - Throws DuplicateKeyError if its unique value was used again meanwhile
+     * - Returns the restored record, or null if it was not in the trash
+     */
+    restore(id) {
+        const record = this.records.find(r => r.id === id && r.deletedAt);
+        if (!record) {
+            return null;
+        }
+        const key = this.keyOf(record);
+        if (key !== null && this.uniqueIndex.has(key)) {
+            throw new DuplicateKeyError(this.uniqueField, record[this.uniqueField]);
+        }
+        delete record.deletedAt;
+        if (key !== null) this.uniqueIndex.set(key, id);
+        return { ...record };
+    }
+
+    /**
+     * Permanently remove trashed records
+     * - ids: records to purge; omit to purge the whole trash
+     * - olderThan: only purge records trashed before this ISO timestamp
+     * - Returns the purged records
+     */
+    purge({ ids, olderThan } = {}) {
+        const purged = [];
+        this.records = this.records.filter(record => {
+            const matches = record.deletedAt &&
+                (!ids || ids.includes(record.id)) &&
+                (!olderThan || record.deletedAt < olderThan);
+            if (matches) purged.push(record);
+            return !matches;
+        });
+        return purged;
+    }
+
+    /**
+     * Permanently remove every record, active or trashed
+     * - Returns the number of records removed
+     */
+    clear() {
+        const count = this.records.length;
+        this.records = [];
+        this.uniqueIndex.clear();
+        return count;
+    }
+
+    flush() {
+        // Nothing buffered in memory
+    }
+
+    /**
+     * Throw if the store can't take writes (used by GET /health)
+     */
+    check() {
+        // Always writable
+    }
+}
+
+/**
+ * JSON file store
+ * - Same behaviour as MemoryStore, persisted to a single JSON file
+ * - Every mutation is written atomically; if the write fails the
+ *   in-memory state is rolled back and the error is rethrown
+ */
+class JsonFileStore extends MemoryStore {
+    constructor(filePath, options) {
+        super(options);
+        this.filePath = filePath;
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return;
+        }
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.restoreSnapshot({
+            nextId: parsed.nextId || 1,
+            records: Array.isArray(parsed.records) ? parsed.records : []
+        });
+    }
+
+    persist() {
+        writeFileAtomic(this.filePath, JSON.stringify(this.snapshot(), null, 2));
+    }
+
+    mutate(fn) {
+        const before = this.snapshot();
+        const result = fn();
+        try {
+            this.persist();
+        } catch (err) {
+            this.restoreSnapshot(before);
+            throw err;
+        }
+        return result;
+    }
+
+    insert(data) {
+        return this.mutate(() => super.insert(data));
+    }
+
+    insertMany(list) {
+        return this.mutate(() => super.insertMany(list));
+    }
+
+    update(id, data) {
+        return this.mutate(() => super.update(id, data));
+    }
+
+    trash(id) {
+        return this.mutate(() => super.trash(id));
+    }
+
+    trashAll() {
+        return this.mutate(() => super.trashAll());
+    }
+
+    restore(id) {
+        return this.mutate(() => super.restore(id));
+    }
+
+    purge(options) {
+        return this.mutate(() => super.purge(options));
+    }
+
+    clear() {
+        return this.mutate(() => super.clear());
+    }
+
+    flush() {
+        this.persist();
+    }
+
+    check() {
+        const dir = path.dirname(this.filePath);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.accessSync(dir, fs.constants.W_OK);
+    }
+}
+
+/**
+ * Create a store from options or environment
+ * - driver: 'file' (default) or 'memory'  (env: STORAGE_DRIVER)
+ * - file: path of the JSON file            (env: DATA_FILE)
+ * - uniqueField: field with a unique index (default "email", null for none)
+ */
+function createStore(options = {}) {
+    const driver = options.driver || process.env.STORAGE_DRIVER || 'file';
+    const indexOptions = { uniqueField: options.uniqueField };
+
+    if (driver === 'memory') {
+        return new MemoryStore(indexOptions);
+    }
+    if (driver === 'file') {
+        const file = options.file || process.env.DATA_FILE ||
+            path.join(__dirname, 'data', 'submissions.json');
+        return new JsonFileStore(file, indexOptions);
+    }
+    throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = {
+    DuplicateKeyError,
+    MemoryStore,
+    JsonFileStore,
+    createStore,
+    uniqueKey,
+    writeFileAtomic
+};
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sniffType } = require('../attachments');
+const { CONTACT, startServer, request, login } = require('./helpers');
+
+const PDF = Buffer.from('%PDF-1.4\n%test document\n');
+const EXE = Buffer.from([0x4D, 0x5A, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00, 0xFF, 0xFE]);
+
+function multipart(fields, files) {
+    const body = new FormData();
+    Object.keys(fields).forEach(name => body.append(name, String(fields[name])));
+    files.forEach(([name, buffer]) => body.append('attachments', new Blob([buffer]), name));
+    return body;
+}
+
+test('sniffType goes by the file contents, not the name', () => {
+    assert.strictEqual(sniffType(PDF).ext, 'pdf');
+    assert.strictEqual(sniffType(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0])).ext, 'png');
+    assert.strictEqual(sniffType(Buffer.from('plain text notes')).ext, 'txt');
+    assert.strictEqual(sniffType(EXE), null);
+    assert.strictEqual(sniffType(Buffer.alloc(0)), null);
+});
+
+test('attachments are checked, stored and downloaded by admins', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await login(server);
+
+    const rejected = await request(server, 'POST', '/api/submit', {
+        body: multipart(CONTACT, [['cv.pdf', EXE]])
+    });
+    assert.strictEqual(rejected.status, 400);
+    assert.ok(rejected.body.errors.attachments);
+
+    const submitted = await request(server, 'POST', '/api/submit', {
+        body: multipart(CONTACT, [['../../cv.pdf', PDF]])
+    });
+    assert.strictEqual(submitted.status, 200, submitted.text);
+    assert.strictEqual(submitted.body.data.attachments, 'cv.pdf');
+
+    const record = await request(server, 'GET', `/api/data/${submitted.body.recordId}`, { token });
+    const [attachment] = record.body.data.attachments;
+    assert.strictEqual(attachment.mime, 'application/pdf');
+
+    const download = await request(server, 'GET', attachment.url, { token });
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(download.text, PDF.toString());
+    assert.match(download.headers.get('content-disposition'), /attachment; filename="cv\.pdf"/);
+    assert.strictEqual((await request(server, 'GET', attachment.url)).status, 401);
+
+    const notAccepted = await request(server, 'POST', '/api/forms/survey/submit', {
+        body: multipart({}, [['cv.pdf', PDF]])
+    });
+    assert.strictEqual(notAccepted.status, 400);
+    assert.ok(notAccepted.body.errors.attachments);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { AuditLog } = require('../audit');
+const { tempDir, startServer, request, login, submitContact } = require('./helpers');
+
+test('AuditLog appends NDJSON lines and reloads them', () => {
+    const dir = tempDir();
+    try {
+        const file = path.join(dir, 'audit.log');
+        const log = new AuditLog(file);
+        log.append({ action: 'create', form: 'contact', recordId: 1 });
+        log.record({ user: { username: 'admin', role: 'admin' }, ip: '127.0.0.1' }, 'view', { recordId: 1 });
+
+        assert.strictEqual(fs.readFileSync(file, 'utf8').trim().split('\n').length, 2);
+        const reloaded = new AuditLog(file).all();
+        assert.deepStrictEqual(reloaded.map(entry => [entry.id, entry.action, entry.actor]), [
+            [1, 'create', 'anonymous'],
+            [2, 'view', 'admin']
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('GET /api/audit lists who touched which record', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await login(server);
+    await submitContact(server);
+    await request(server, 'GET', '/api/data/1', { token });
+
+    const trail = await request(server, 'GET', '/api/audit?recordId=1&sort=id', { token });
+    assert.strictEqual(trail.status, 200);
+    assert.deepStrictEqual(trail.body.data.map(entry => [entry.action, entry.actor]), [
+        ['create', 'anonymous'],
+        ['view', 'admin']
+    ]);
+
+    const csv = await request(server, 'GET', '/api/audit/export?format=csv&action=view', { token });
+    assert.strictEqual(csv.status, 200);
+    assert.match(csv.text, /view,contact,1,admin/);
+
+    assert.strictEqual((await request(server, 'GET', '/api/audit')).status, 401);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { hashPassword, verifyPassword, UserStore, SessionStore } = require('../auth');
+const { ADMIN, tempDir, startServer, request, login } = require('./helpers');
+
+test('passwords are salted scrypt hashes', async () => {
+    const hash = hashPassword('s3cret');
+    assert.match(hash, /^scrypt\$/);
+    assert.notStrictEqual(hash, hashPassword('s3cret'));
+    assert.strictEqual(await verifyPassword('s3cret', hash), true);
+    assert.strictEqual(await verifyPassword('wrong', hash), false);
+});
+
+test('sessions expire and are swept on login', async () => {
+    const sessions = new SessionStore(20);
+    const { token } = sessions.create({ username: 'a' });
+    assert.deepStrictEqual(sessions.get(token), { username: 'a' });
+
+    sessions.create({ username: 'b' });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    sessions.create({ username: 'c' });
+    assert.strictEqual(sessions.sessions.size, 1);
+    assert.strictEqual(sessions.get(token), null);
+});
+
+test('data routes need an admin token', async (t) => {
+    // Users from a file, so a non-admin account exists too
+    const dir = tempDir();
+    const users = new UserStore(path.join(dir, 'users.json'));
+    users.create(ADMIN.username, ADMIN.password, 'admin');
+    users.create('viewer', 'viewer-password', 'user');
+    const server = await startServer({
+        STORAGE_DRIVER: 'file',
+        DATA_FILE: path.join(dir, 'submissions.json'),
+        USERS_FILE: path.join(dir, 'users.json'),
+        AUDIT_FILE: path.join(dir, 'audit.log'),
+        WEBHOOKS_FILE: path.join(dir, 'webhooks.json')
+    });
+    t.after(async () => {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const anonymous = await request(server, 'GET', '/api/data');
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual(anonymous.headers.get('www-authenticate'), 'Bearer');
+
+    const badLogin = await request(server, 'POST', '/api/auth/login', { body: { ...ADMIN, password: 'nope' } });
+    assert.strictEqual(badLogin.status, 401);
+
+    const viewer = await request(server, 'POST', '/api/auth/login', {
+        body: { username: 'viewer', password: 'viewer-password' }
+    });
+    const forbidden = await request(server, 'GET', '/api/data', { token: viewer.body.token });
+    assert.strictEqual(forbidden.status, 403);
+
+    const token = await login(server);
+    const me = await request(server, 'GET', '/api/auth/me', { token });
+    assert.strictEqual(me.body.user.role, 'admin');
+    assert.strictEqual((await request(server, 'GET', '/api/data', { token })).status, 200);
+
+    await request(server, 'POST', '/api/auth/logout', { token });
+    assert.strictEqual((await request(server, 'GET', '/api/data', { token })).status, 401);
+});
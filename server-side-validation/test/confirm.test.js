@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createConfirmations } = require('../confirm');
+const { FileTransport } = require('../mailer');
+const { tempDir, startServer, request, login, submitContact } = require('./helpers');
+
+test('confirmation tokens are tied to the record, its email and its latest expiry', () => {
+    const confirmations = createConfirmations({ secret: 'test', ttl: 60000 });
+    const record = { id: 7, status: 'pending', confirmationExpiresAt: confirmations.expiry() };
+    const find = (form, id) => (form === 'event' && id === 7 ? { record, email: 'a@example.com' } : null);
+    const token = confirmations.tokenFor('event', record, 'a@example.com');
+
+    assert.strictEqual(confirmations.check(token, find).outcome, 'confirm');
+    assert.strictEqual(confirmations.check(token.replace(/^event/, 'survey'), find).outcome, 'invalid');
+    assert.strictEqual(confirmations.check(`${token}0`, find).outcome, 'invalid');
+
+    record.confirmationExpiresAt = new Date(Date.now() - 1000).toISOString();
+    assert.strictEqual(confirmations.check(token, find).outcome, 'invalid');
+    assert.strictEqual(confirmations.isExpired(record), true);
+    const expired = confirmations.tokenFor('event', record, 'a@example.com');
+    assert.strictEqual(confirmations.check(expired, find).outcome, 'expired');
+
+    record.status = 'confirmed';
+    assert.strictEqual(confirmations.check(expired, find).outcome, 'already');
+});
+
+test('FileTransport writes one .eml file per message', async () => {
+    const dir = tempDir();
+    try {
+        const sent = await new FileTransport('from@example.com', dir).send({ to: 'to@example.com', subject: 'Hi', text: 'Body' });
+        assert.match(fs.readFileSync(sent.file, 'utf8'), /To: to@example\.com\r\nSubject: Hi[\s\S]*\r\n\r\nBody$/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+// Tokens from the confirmation links mailed so far, oldest first. A file
+// can be listed before it has been written, so wait for every link.
+async function mailedTokens(server, count) {
+    const dir = path.join(server.dir, 'mail');
+    for (let i = 0; i < 100; i++) {
+        const files = fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+        const links = files.map(file => /\/api\/confirm\?token=(\S+)/.exec(fs.readFileSync(path.join(dir, file), 'utf8')));
+        if (links.length >= count && links.every(Boolean)) {
+            return links.map(link => decodeURIComponent(link[1]));
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`expected ${count} confirmation emails`);
+}
+
+test('the emailed link asks before a POST confirms the registration', async (t) => {
+    const server = await startServer({ REQUIRE_EMAIL_CONFIRMATION: 'true' });
+    t.after(() => server.stop());
+    const admin = await login(server);
+
+    const submitted = await submitContact(server);
+    assert.strictEqual(submitted.body.status, 'pending');
+    await request(server, 'POST', '/api/confirm/resend', { body: { email: 'john@example.com' } });
+    const [first, latest] = await mailedTokens(server, 2);
+
+    // Opening the link changes nothing
+    const opened = await request(server, 'GET', `/api/confirm?token=${encodeURIComponent(latest)}`);
+    assert.strictEqual(opened.status, 200);
+    assert.strictEqual(opened.body.data.status, 'pending');
+    const browser = await request(server, 'GET', `/api/confirm?token=${encodeURIComponent(latest)}`, {
+        headers: { Accept: 'text/html' }
+    });
+    assert.strictEqual(browser.status, 302);
+    assert.match(browser.headers.get('location'), /^\/\?confirm=pending&token=/);
+
+    const superseded = await request(server, 'POST', '/api/confirm', { body: { token: first } });
+    assert.strictEqual(superseded.status, 400);
+
+    const confirmed = await request(server, 'POST', '/api/confirm', { body: { token: latest } });
+    assert.strictEqual(confirmed.status, 200);
+    assert.strictEqual(confirmed.body.data.status, 'confirmed');
+    const again = await request(server, 'POST', '/api/confirm', { body: { token: latest } });
+    assert.strictEqual(again.body.message, 'This registration is already confirmed.');
+
+    const record = await request(server, 'GET', `/api/data/${submitted.body.recordId}`, { token: admin });
+    assert.ok(record.body.data.confirmedAt);
+});
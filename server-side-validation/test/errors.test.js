@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyError } = require('../errors');
+const { createShutdown } = require('../shutdown');
+const { startServer, request, submitContact } = require('./helpers');
+
+test('classifyError keeps client faults 4xx and hides server faults', () => {
+    assert.strictEqual(classifyError({ type: 'entity.parse.failed' }).code, 'INVALID_JSON');
+    assert.strictEqual(classifyError({ type: 'entity.too.large' }).status, 413);
+    assert.deepStrictEqual(classifyError({ status: 404, message: 'Nope' }), { status: 404, code: 'NOT_FOUND', message: 'Nope' });
+
+    const fault = classifyError(new Error('connection refused'));
+    assert.strictEqual(fault.status, 500);
+    assert.strictEqual(fault.code, 'INTERNAL_ERROR');
+    assert.doesNotMatch(fault.message, /refused/);
+});
+
+test('the shutdown guard answers 503 with its own code once shutdown has begun', async (t) => {
+    const log = { info() {}, warn() {}, error() {} };
+    const lifecycle = createShutdown({ log, timeout: 1000 });
+    const res = {
+        headers: {},
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    const req = { t: key => key };
+
+    let passed = false;
+    lifecycle.guard(req, res, () => { passed = true; });
+    assert.strictEqual(passed, true);
+
+    // shutdown() exits the process once drained; only its first step matters here
+    t.mock.method(process, 'exit', () => {});
+    lifecycle.shutdown('test', 0);
+    lifecycle.guard(req, res, () => assert.fail('guard let a request through'));
+    assert.strictEqual(res.statusCode, 503);
+    assert.strictEqual(res.body.code, 'SERVICE_UNAVAILABLE');
+    assert.strictEqual(res.headers.Connection, 'close');
+    await new Promise(resolve => setImmediate(resolve));
+});
+
+test('API errors carry stable codes and SIGTERM drains before exiting', async () => {
+    const server = await startServer();
+    try {
+        const malformed = await request(server, 'POST', '/api/submit', {
+            body: '{"fullName":',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        assert.strictEqual(malformed.status, 400);
+        assert.strictEqual(malformed.body.code, 'INVALID_JSON');
+
+        const unknown = await request(server, 'GET', '/api/nothing-here');
+        assert.strictEqual(unknown.status, 404);
+        assert.strictEqual(unknown.body.code, 'NOT_FOUND');
+
+        const invalid = await submitContact(server, { email: 'bad' });
+        assert.strictEqual(invalid.body.code, 'VALIDATION_FAILED');
+    } finally {
+        await server.stop();
+    }
+    assert.match(server.output(), /"msg":"Shutting down","reason":"SIGTERM"/);
+    assert.match(server.output(), /"msg":"Shutdown complete","exitCode":0/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { csvCell, buildXlsx } = require('../export');
+const { csvToObjects } = require('../import');
+const { startServer, request, login, submitContact } = require('./helpers');
+
+test('csvCell quotes cells and guards formulas', () => {
+    assert.strictEqual(csvCell('plain'), 'plain');
+    assert.strictEqual(csvCell('a,"b"'), '"a,""b"""');
+    assert.strictEqual(csvCell('=1+2'), "'=1+2");
+    assert.strictEqual(csvCell('+442079460018'), '+442079460018');
+    assert.strictEqual(csvCell(null), '');
+});
+
+test('an export imports back unchanged', () => {
+    const values = ['=SUM(A1)', '-5', '@home', 'a,b', 'line\nbreak'];
+    const csv = ['value', ...values.map(csvCell)].join('\r\n');
+    assert.deepStrictEqual(csvToObjects(csv).map(row => row.value), values);
+});
+
+test('buildXlsx writes a zip workbook', () => {
+    const workbook = buildXlsx([{ id: 1, name: 'A' }], ['id', 'name'], ['id']);
+    assert.ok(Buffer.isBuffer(workbook));
+    assert.strictEqual(workbook.subarray(0, 2).toString(), 'PK');
+});
+
+test('GET /api/data/export streams CSV, NDJSON and XLSX', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await login(server);
+    await submitContact(server, { message: '=HYPERLINK("http://evil") message' });
+
+    const csv = await request(server, 'GET', '/api/data/export?fields=id,email,message', { token });
+    assert.strictEqual(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /attachment; filename="contact-.*\.csv"/);
+    const [header, row] = csv.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    assert.strictEqual(header, 'id,email,message');
+    assert.match(row, /^1,john@example\.com,"'=HYPERLINK/);
+
+    const ndjson = await request(server, 'GET', '/api/data/export?format=ndjson', { token });
+    assert.strictEqual(JSON.parse(ndjson.text.trim()).email, 'john@example.com');
+
+    const xlsx = await request(server, 'GET', '/api/data/export?format=xlsx', { token });
+    assert.strictEqual(xlsx.status, 200);
+    assert.match(xlsx.headers.get('content-type'), /spreadsheetml/);
+
+    const invalid = await request(server, 'GET', '/api/data/export?format=pdf', { token });
+    assert.strictEqual(invalid.status, 400);
+    assert.ok(invalid.body.errors.format);
+});
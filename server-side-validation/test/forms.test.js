@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkDefinition, loadForms } = require('../forms');
+const { startServer, request, login, submitContact } = require('./helpers');
+
+const FIELD = { type: 'string', ui: { control: 'text', label: 'Name' } };
+
+test('loadForms reads every definition, contact first', () => {
+    assert.deepStrictEqual(loadForms().map(form => form.id), ['contact', 'event', 'survey']);
+});
+
+test('checkDefinition names the form and field that are wrong', () => {
+    assert.doesNotThrow(() => checkDefinition('feedback', { title: 'Feedback', fields: { name: FIELD } }));
+    assert.throws(() => checkDefinition('Bad Id', { title: 'x', fields: { name: FIELD } }), /Form "Bad Id": id/);
+    assert.throws(() => checkDefinition('feedback', { title: 'x', fields: {} }), /at least one field/);
+    assert.throws(
+        () => checkDefinition('feedback', { title: 'x', fields: { name: { ...FIELD, type: 'text' } } }),
+        /field "name" type/
+    );
+    assert.throws(
+        () => checkDefinition('feedback', { title: 'x', fields: { pick: { ...FIELD, ui: { control: 'select', label: 'Pick' } } } }),
+        /needs an enum/
+    );
+    assert.throws(
+        () => checkDefinition('feedback', { title: 'x', uniqueField: 'email', fields: { name: FIELD } }),
+        /uniqueField "email"/
+    );
+});
+
+test('each form is described, submitted and stored on its own routes', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await login(server);
+
+    const list = await request(server, 'GET', '/api/forms');
+    assert.deepStrictEqual(list.body.data.map(form => form.submitUrl),
+        ['/api/submit', '/api/forms/event/submit', '/api/forms/survey/submit']);
+
+    const event = await request(server, 'GET', '/api/forms/event', { headers: { 'Accept-Language': 'es' } });
+    assert.strictEqual(event.body.locale, 'es');
+    assert.strictEqual(event.body.title, 'Inscripción al evento');
+    assert.strictEqual(event.body.fields.ticket.ui.control, 'select');
+    assert.strictEqual(event.body.fields.ticket.messages, undefined);
+    assert.strictEqual((await request(server, 'GET', '/api/forms/nope')).status, 404);
+    assert.strictEqual((await request(server, 'POST', '/api/forms/nope/submit', { body: {} })).status, 404);
+
+    const invalid = await request(server, 'POST', '/api/forms/survey/submit', { body: { rating: 9 } });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(Object.keys(invalid.body.errors), ['rating']);
+
+    const survey = await request(server, 'POST', '/api/forms/survey/submit', {
+        body: { rating: 4, recommend: 'yes', comments: 'Good day' }
+    });
+    assert.strictEqual(survey.status, 200, survey.text);
+    await submitContact(server);
+
+    const surveys = await request(server, 'GET', '/api/forms/survey/data', { token });
+    assert.strictEqual(surveys.body.data.length, 1);
+    assert.strictEqual(surveys.body.data[0].rating, 4);
+    const contacts = await request(server, 'GET', '/api/data', { token });
+    assert.strictEqual(contacts.body.data.length, 1);
+    assert.strictEqual(contacts.body.data[0].email, 'john@example.com');
+});
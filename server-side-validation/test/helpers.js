@@ -0,0 +1,166 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Helpers for the smoke tests (npm test)
+ * - startServer runs server.js in a child process on a free port, with
+ *   memory storage and every file it writes in a temporary directory
+ * - request and login talk to it over HTTP with the global fetch
+ */
+
+const ROOT = path.join(__dirname, '..');
+const ADMIN = { username: 'admin', password: 'test-password' };
+
+// A valid contact form submission (forms/contact.json)
+const CONTACT = {
+    fullName: 'John Smith',
+    email: 'john@example.com',
+    phone: '+44 20 7946 0018',
+    age: 30,
+    country: 'UK',
+    website: '',
+    message: 'Hello there, this is a test message.',
+    agreement: true
+};
+
+function tempDir(prefix = 'ssv-test-') {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start server.js and wait until GET /health answers
+ * - env: extra environment, e.g. { REQUIRE_EMAIL_CONFIRMATION: 'true' }
+ * - Returns { url, dir, output, waitForOutput, stop }; output() is what
+ *   the server has written so far (logs, console mail)
+ */
+async function startServer(env = {}) {
+    const dir = tempDir();
+    const port = await freePort();
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            NODE_ENV: 'test',
+            PORT: String(port),
+            STORAGE_DRIVER: 'memory',
+            ADMIN_USERNAME: ADMIN.username,
+            ADMIN_PASSWORD: ADMIN.password,
+            MIN_FILL_TIME_MS: '0',
+            REQUIRE_EMAIL_CONFIRMATION: 'false',
+            MAIL_TRANSPORT: 'file',
+            MAIL_DIR: path.join(dir, 'mail'),
+            UPLOAD_DIR: path.join(dir, 'uploads'),
+            FORM_DATA_DIR: path.join(dir, 'forms'),
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const url = `http://127.0.0.1:${port}`;
+    const deadline = Date.now() + 10000;
+    for (;;) {
+        if (child.exitCode !== null) {
+            throw new Error(`server.js exited with ${child.exitCode}:\n${output}`);
+        }
+        try {
+            if ((await fetch(`${url}/health`)).ok) break;
+        } catch (err) {
+            // Not listening yet
+        }
+        if (Date.now() > deadline) {
+            child.kill();
+            throw new Error(`server.js did not start:\n${output}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return {
+        url,
+        dir,
+        output: () => output,
+        // Logs arrive through a pipe, possibly after the response
+        async waitForOutput(pattern, timeout = 2000) {
+            const until = Date.now() + timeout;
+            while (!pattern.test(output)) {
+                if (Date.now() > until) throw new Error(`no ${pattern} in server output:\n${output}`);
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+        },
+        async stop() {
+            if (child.exitCode === null) child.kill('SIGTERM');
+            await exited;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Send a request and read the answer
+ * - options.body: sent as JSON unless it is a string, Buffer or FormData
+ * - options.token: bearer token from login()
+ * - Returns { status, headers, body, text }; body is parsed JSON or null
+ */
+async function request(server, method, url, options = {}) {
+    const headers = { Accept: 'application/json', ...options.headers };
+    if (options.token) headers.Authorization = `Bearer ${options.token}`;
+    let body = options.body;
+    if (body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body) && !(body instanceof FormData)) {
+        body = JSON.stringify(body);
+        headers['Content-Type'] = 'application/json';
+    }
+    const response = await fetch(server.url + url, { method, headers, body, redirect: 'manual' });
+    const text = await response.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        // Not JSON (CSV, HTML, metrics)
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+}
+
+/**
+ * Log in as the seeded admin; returns the bearer token
+ */
+async function login(server) {
+    const res = await request(server, 'POST', '/api/auth/login', { body: ADMIN });
+    if (res.status !== 200) throw new Error(`login failed: ${res.text}`);
+    return res.body.token;
+}
+
+/**
+ * Submit the contact form (overrides replace fields of CONTACT)
+ */
+function submitContact(server, overrides = {}) {
+    return request(server, 'POST', '/api/submit', { body: { ...CONTACT, ...overrides } });
+}
+
+module.exports = {
+    ADMIN,
+    CONTACT,
+    tempDir,
+    startServer,
+    request,
+    login,
+    submitContact
+};
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SUPPORTED_LOCALES, translate } = require('../i18n');
+const { startServer, request, submitContact } = require('./helpers');
+
+test('every catalog has the same keys as English', () => {
+    const english = Object.keys(require('../locales/en.json')).sort();
+    SUPPORTED_LOCALES.forEach(locale => {
+        assert.deepStrictEqual(Object.keys(require(`../locales/${locale}.json`)).sort(), english, locale);
+    });
+});
+
+test('translate fills placeholders and falls back to English', () => {
+    assert.match(translate('fr', 'confirm.sent', { email: 'a@b.c' }), /a@b\.c/);
+    assert.strictEqual(translate('de', 'validation.failed'), translate('en', 'validation.failed'));
+    assert.strictEqual(translate('en', 'no.such.key'), 'no.such.key');
+});
+
+test('responses follow ?lang= and Accept-Language', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const french = await request(server, 'POST', '/api/submit?lang=fr', { body: { fullName: 'Jo' } });
+    assert.strictEqual(french.headers.get('content-language'), 'fr');
+    assert.strictEqual(french.body.message, translate('fr', 'validation.failed'));
+
+    const spanish = await request(server, 'GET', '/api/nowhere', { headers: { 'Accept-Language': 'es-ES,es;q=0.9' } });
+    assert.strictEqual(spanish.status, 404);
+    assert.strictEqual(spanish.headers.get('content-language'), 'es');
+
+    const messages = await request(server, 'GET', '/api/messages?lang=fr-CA');
+    assert.strictEqual(messages.body.locale, 'fr');
+    assert.deepStrictEqual(messages.body.supported, SUPPORTED_LOCALES);
+
+    const unicodeName = await submitContact(server, { fullName: 'José Ñúñez-O’Brien' });
+    assert.strictEqual(unicodeName.status, 200, unicodeName.text);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, readImportRows } = require('../import');
+const { CONTACT, startServer, request, login, submitContact } = require('./helpers');
+
+const SCHEMA = { fields: { agreement: { type: 'boolean' }, fullName: { type: 'string' } } };
+
+test('parseCsv handles quotes, line breaks and a BOM', () => {
+    assert.deepStrictEqual(parseCsv('\uFEFFa,b\r\n"x, ""y""","multi\nline"\n\n'), [
+        ['a', 'b'],
+        ['x, "y"', 'multi\nline']
+    ]);
+});
+
+test('readImportRows accepts CSV text and JSON arrays', () => {
+    assert.deepStrictEqual(readImportRows('fullName,agreement\nAnn,yes\n', SCHEMA), [
+        { fullName: 'Ann', agreement: true }
+    ]);
+    assert.deepStrictEqual(readImportRows({ records: [{ fullName: 'Bob' }] }, SCHEMA), [{ fullName: 'Bob' }]);
+    assert.throws(() => readImportRows({ fullName: 'Bob' }, SCHEMA), /CSV body or a JSON array/);
+    assert.throws(() => readImportRows([1], SCHEMA), /Row 1/);
+});
+
+test('POST /api/data/import reports each row and stores the valid ones', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await login(server);
+    await submitContact(server);
+
+    const rows = [
+        { ...CONTACT, email: 'new@example.com' },
+        { ...CONTACT, email: 'new@example.com', fullName: 'Second Copy' },
+        { ...CONTACT, email: 'john@example.com' },
+        { ...CONTACT, email: 'other@example.com', age: 3 }
+    ];
+
+    const dryRun = await request(server, 'POST', '/api/data/import?dryRun=true', { token, body: rows });
+    assert.strictEqual(dryRun.status, 200, dryRun.text);
+    assert.strictEqual(dryRun.body.accepted, 1);
+    assert.strictEqual((await request(server, 'GET', '/api/data', { token })).body.total, 1);
+
+    const imported = await request(server, 'POST', '/api/data/import', { token, body: rows });
+    assert.deepStrictEqual(imported.body.rows.map(row => row.status), ['accepted', 'rejected', 'rejected', 'rejected']);
+    assert.ok(imported.body.rows[3].errors.age);
+    const record = await request(server, 'GET', `/api/data/${imported.body.rows[0].recordId}`, { token });
+    assert.ok(record.body.data.confirmedAt);
+
+    const csv = 'fullName,email,phone,age,country,message,agreement\r\n' +
+        'Csv Person,csv@example.com,+14155552671,40,USA,Imported from a CSV file,yes\r\n';
+    const fromCsv = await request(server, 'POST', '/api/data/import', {
+        token,
+        body: csv,
+        headers: { 'Content-Type': 'text/csv' }
+    });
+    assert.strictEqual(fromCsv.body.accepted, 1, fromCsv.text);
+
+    const anonymous = await request(server, 'POST', '/api/data/import', { body: rows });
+    assert.strictEqual(anonymous.status, 401);
+});
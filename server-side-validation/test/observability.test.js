@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, Registry } = require('../observability');
+const { startServer, request, submitContact } = require('./helpers');
+
+test('Registry renders counters, gauges and histograms in the Prometheus format', () => {
+    const registry = new Registry();
+    registry.counter('jobs_total', 'Jobs', ['kind']).inc({ kind: 'a"b' }, 2);
+    registry.gauge('queue', 'Queue length', () => [{ labels: { name: 'x' }, value: 3 }]);
+    registry.histogram('latency_seconds', 'Latency', [], [0.1, 1]).observe({}, 0.5);
+
+    const text = registry.render();
+    assert.match(text, /# TYPE jobs_total counter\njobs_total\{kind="a\\"b"\} 2/);
+    assert.match(text, /queue\{name="x"\} 3/);
+    assert.match(text, /latency_seconds_bucket\{le="0.1"\} 0\nlatency_seconds_bucket\{le="1"\} 1/);
+    assert.match(text, /latency_seconds_bucket\{le="\+Inf"\} 1\nlatency_seconds_sum 0.5\nlatency_seconds_count 1/);
+});
+
+test('createLogger writes JSON lines at or above its level', (t) => {
+    const lines = [];
+    t.mock.method(process.stdout, 'write', line => lines.push(line));
+    const log = createLogger({ level: 'info' });
+    log.debug('hidden');
+    log.info('shown', { requestId: 'abc' });
+    t.mock.restoreAll();
+
+    assert.strictEqual(lines.length, 1);
+    const entry = JSON.parse(lines[0]);
+    assert.strictEqual(entry.level, 'info');
+    assert.strictEqual(entry.msg, 'shown');
+    assert.strictEqual(entry.requestId, 'abc');
+});
+
+test('requests get an ID, a log line and metrics', async (t) => {
+    const server = await startServer({ METRICS_TOKEN: 'scrape' });
+    t.after(() => server.stop());
+
+    const echoed = await request(server, 'GET', '/api/forms', { headers: { 'X-Request-Id': 'test-123' } });
+    assert.strictEqual(echoed.headers.get('x-request-id'), 'test-123');
+    await server.waitForOutput(/"msg":"request","requestId":"test-123"/);
+
+    await submitContact(server, { email: 'bad', age: 5 });
+
+    assert.strictEqual((await request(server, 'GET', '/metrics')).status, 401);
+    const metrics = await request(server, 'GET', '/metrics', { headers: { Authorization: 'Bearer scrape' } });
+    assert.match(metrics.headers.get('content-type'), /^text\/plain.*version=0\.0\.4/);
+    assert.match(metrics.text, /http_requests_total\{method="GET",route="\/api\/forms",status="200"\} 1/);
+    assert.match(metrics.text, /form_validation_failures_total\{form="contact",source="submit",field="email"\} 1/);
+    assert.match(metrics.text, /form_validation_failures_total\{form="contact",source="submit",field="age"\} 1/);
+
+    const health = await request(server, 'GET', '/health');
+    assert.strictEqual(health.body.status, 'ok');
+    assert.deepStrictEqual(Object.keys(health.body.checks), ['storage', 'forms', 'uploads']);
+});
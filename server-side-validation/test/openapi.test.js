@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, request, login, submitContact } = require('./helpers');
+
+// Every { $ref } in the document, with where it was found
+function refs(node, where = '#', found = []) {
+    if (node && typeof node === 'object') {
+        Object.keys(node).forEach(key => {
+            if (key === '$ref') found.push({ ref: node.$ref, where });
+            else refs(node[key], `${where}/${key}`, found);
+        });
+    }
+    return found;
+}
+
+function resolve(spec, ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+}
+
+test('GET /api/openapi.json describes every form and resolves its references', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const { status, body: spec } = await request(server, 'GET', '/api/openapi.json');
+    assert.strictEqual(status, 200);
+    assert.match(spec.openapi, /^3\.1/);
+    ['/api/submit', '/api/data/{id}', '/api/confirm', '/api/forms/event/submit', '/api/forms/survey/data']
+        .forEach(path => assert.ok(spec.paths[path], path));
+
+    refs(spec).forEach(({ ref, where }) => {
+        assert.ok(resolve(spec, ref), `${ref} at ${where}`);
+    });
+
+    const docs = await request(server, 'GET', '/api/docs', { headers: { Accept: 'text/html' } });
+    assert.strictEqual(docs.status, 200);
+    assert.match(docs.headers.get('content-type'), /html/);
+});
+
+test('development mode reports traffic that does not match the spec', async (t) => {
+    const server = await startServer({ NODE_ENV: 'development' });
+    t.after(() => server.stop());
+    const token = await login(server);
+
+    await submitContact(server);
+    await request(server, 'GET', '/api/data?sort=-age', { token });
+    await request(server, 'GET', '/api/forms');
+    assert.doesNotMatch(server.output(), /\[openapi\]/);
+
+    await request(server, 'POST', '/api/confirm', { body: {} });
+    await server.waitForOutput(/\[openapi\] POST \/api\/confirm request does not match the spec/);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PhoneNumber = require('../public/phone');
+const { startServer, request, login, submitContact } = require('./helpers');
+
+test('parse checks numbers against the country rules', () => {
+    const cases = [
+        ['(202) 555-0143', 'USA', { e164: '+12025550143' }],
+        ['+1 202 555 0143', 'Canada', { e164: '+12025550143' }],
+        ['020 7946 0018', 'UK', { e164: '+442079460018' }],
+        ['0412 345 678', 'Australia', { e164: '+61412345678' }],
+        ['+33 1 23 45 67 89', 'Other', { e164: '+33123456789' }],
+        ['+44 20 7946 0018', 'USA', { error: 'countryMismatch', params: { code: '+1' } }],
+        ['(102) 555-0143', 'USA', { error: 'invalidAreaCode' }],
+        ['01 23 45 67 89', 'Other', { error: 'countryCodeRequired' }],
+        ['123', 'UK', { error: 'tooShort', params: { min: 9, max: 10 } }],
+        ['555-CALL', 'USA', { error: 'invalidCharacters' }]
+    ];
+    cases.forEach(([input, country, expected]) => {
+        assert.deepStrictEqual(PhoneNumber.parse(input, country), expected, `${input} (${country})`);
+    });
+    assert.strictEqual(PhoneNumber.toE164('not a number', 'UK'), 'not a number');
+});
+
+test('submitted phone numbers are validated per country and stored as E.164', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const mismatch = await submitContact(server, { phone: '+1 202 555 0143', country: 'UK' });
+    assert.strictEqual(mismatch.status, 400);
+    assert.ok(mismatch.body.errors.phone);
+
+    const national = await submitContact(server, { phone: '020 7946 0018', country: 'UK' });
+    assert.strictEqual(national.status, 200, national.text);
+
+    const token = await login(server);
+    const record = await request(server, 'GET', `/api/data/${national.body.recordId}`, { token });
+    assert.strictEqual(record.body.data.phone, '+442079460018');
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseListQuery, applyListQuery } = require('../query');
+const { startServer, request, login, submitContact } = require('./helpers');
+
+const FIELDS = ['id', 'fullName', 'age', 'country'];
+const RECORDS = [
+    { id: 1, fullName: 'Ann', age: 25, country: 'UK' },
+    { id: 2, fullName: 'Bob', age: 40, country: 'USA' },
+    { id: 3, fullName: 'Cid', age: 35, country: 'UK' }
+];
+
+test('parseListQuery reads filters, sorting and pagination', () => {
+    const { options, errors } = parseListQuery('country=UK&age>=30&sort=-age&limit=1', FIELDS);
+    assert.strictEqual(errors, null);
+    assert.strictEqual(options.limit, 1);
+    assert.deepStrictEqual(options.sort[0], { field: 'age', descending: true });
+
+    const result = applyListQuery(RECORDS, options);
+    assert.strictEqual(result.total, 1);
+    assert.strictEqual(result.items[0].fullName, 'Cid');
+});
+
+test('parseListQuery reports unknown fields and bad pages', () => {
+    const { errors } = parseListQuery('colour=red&page=0&sort=shoeSize', FIELDS);
+    assert.deepStrictEqual(Object.keys(errors).sort(), ['colour', 'page', 'sort']);
+});
+
+test('cursors continue where the previous page stopped', () => {
+    const first = applyListQuery(RECORDS, parseListQuery('limit=2', FIELDS).options);
+    assert.deepStrictEqual(first.items.map(r => r.id), [1, 2]);
+    const next = applyListQuery(RECORDS, parseListQuery(`limit=2&cursor=${first.nextCursor}`, FIELDS).options);
+    assert.deepStrictEqual(next.items.map(r => r.id), [3]);
+    assert.strictEqual(next.nextCursor, null);
+});
+
+test('GET /api/data pages, sorts and searches', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await login(server);
+    await submitContact(server, { fullName: 'Anna Young', email: 'anna@example.com', age: 22 });
+    await submitContact(server, { fullName: 'Brian Old', email: 'brian@example.com', age: 70 });
+    await submitContact(server, { fullName: 'Carla Mid', email: 'carla@example.com', age: 45 });
+
+    const page = await request(server, 'GET', '/api/data?sort=-age&limit=2', { token });
+    assert.strictEqual(page.status, 200);
+    assert.deepStrictEqual(page.body.data.map(r => r.age), [70, 45]);
+    assert.strictEqual(page.body.totalPages, 2);
+    assert.ok(page.body.links.next);
+
+    const search = await request(server, 'GET', '/api/data?q=brian', { token });
+    assert.strictEqual(search.body.total, 1);
+
+    const invalid = await request(server, 'GET', '/api/data?shoeSize=9', { token });
+    assert.strictEqual(invalid.status, 400);
+    assert.ok(invalid.body.errors.shoeSize);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SchemaValidator = require('../public/validator');
+const { CONTACT, startServer, request, submitContact } = require('./helpers');
+
+const INVALID = { ...CONTACT, fullName: 'Jo', email: 'not-an-email', age: 12 };
+
+test('the shared validator and the server reject the same fields', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const schema = await request(server, 'GET', '/api/schema');
+    assert.strictEqual(schema.status, 200);
+    assert.ok(schema.body.fields.email);
+
+    assert.strictEqual(SchemaValidator.validate(schema.body, CONTACT), null);
+    const clientErrors = SchemaValidator.validate(schema.body, INVALID);
+    assert.deepStrictEqual(Object.keys(clientErrors).sort(), ['age', 'email', 'fullName']);
+
+    const rejected = await submitContact(server, INVALID);
+    assert.strictEqual(rejected.status, 400);
+    assert.strictEqual(rejected.body.code, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(Object.keys(rejected.body.errors).sort(), Object.keys(clientErrors).sort());
+});
+
+test('validated data is normalized for storage', () => {
+    const schema = {
+        fields: {
+            age: { type: 'integer' },
+            phone: { type: 'phone', countryField: 'country' },
+            country: { type: 'string' }
+        }
+    };
+    const normalized = SchemaValidator.normalize(schema, { age: '30', phone: '020 7946 0018', country: 'UK' });
+    assert.strictEqual(normalized.age, 30);
+    assert.strictEqual(normalized.phone, '+442079460018');
+});
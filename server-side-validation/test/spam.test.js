@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { HONEYPOT_FIELD, TOKEN_FIELD, createSpamGuard } = require('../spam');
+const { RateLimiter } = require('../rate-limit');
+const { startServer, request, submitContact } = require('./helpers');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('form tokens need the minimum fill time and work once', async () => {
+    const guard = createSpamGuard({ secret: 'test', minFillMs: 20 });
+    const token = guard.issueToken();
+    assert.strictEqual(guard.check({ [TOKEN_FIELD]: token }), 'spam.tooFast');
+    await wait(30);
+
+    const data = { [TOKEN_FIELD]: token };
+    assert.strictEqual(guard.check(data), null);
+    assert.strictEqual(guard.consume(data), null);
+    assert.strictEqual(guard.check(data), 'spam.tokenUsed');
+
+    assert.strictEqual(guard.check({}), 'spam.tokenMissing');
+    const tampered = token.slice(0, -1) + (token.endsWith('0') ? '1' : '0');
+    assert.strictEqual(guard.check({ [TOKEN_FIELD]: tampered }), 'spam.tokenInvalid');
+    assert.strictEqual(guard.check({ [HONEYPOT_FIELD]: 'bot' }), 'spam.honeypot');
+});
+
+test('RateLimiter allows max hits per window', () => {
+    const limiter = new RateLimiter({ windowMs: 60000, max: 2 });
+    assert.strictEqual(limiter.hit('a').allowed, true);
+    assert.strictEqual(limiter.hit('a').remaining, 0);
+    const blocked = limiter.hit('a');
+    assert.strictEqual(blocked.allowed, false);
+    assert.ok(blocked.retryAfter > 0);
+    assert.strictEqual(limiter.hit('b').allowed, true);
+});
+
+test('POST /api/submit rejects bots, replays and floods', async (t) => {
+    const server = await startServer({ MIN_FILL_TIME_MS: '1000', SUBMIT_EMAIL_MAX: '2' });
+    t.after(() => server.stop());
+
+    const issued = await request(server, 'GET', '/api/form-token');
+    assert.strictEqual(issued.headers.get('cache-control'), 'no-store');
+    const formToken = issued.body.token;
+
+    const tooFast = await submitContact(server, { email: 'fast@example.com', formToken });
+    assert.strictEqual(tooFast.status, 400);
+    await wait(1100);
+
+    const honeypot = await submitContact(server, { email: 'bot@example.com', formToken, [HONEYPOT_FIELD]: 'x' });
+    assert.strictEqual(honeypot.status, 400);
+
+    const human = await submitContact(server, { email: 'human@example.com', formToken });
+    assert.strictEqual(human.status, 200, human.text);
+    const replay = await submitContact(server, { email: 'replay@example.com', formToken });
+    assert.strictEqual(replay.status, 400);
+
+    const metrics = await request(server, 'GET', '/metrics');
+    assert.match(metrics.text, /form_spam_rejections_total\{reason="tokenUsed"\} 1/);
+
+    await submitContact(server, { email: 'flood@example.com' });
+    await submitContact(server, { email: 'flood@example.com' });
+    const flooded = await submitContact(server, { email: 'flood@example.com' });
+    assert.strictEqual(flooded.status, 429);
+    assert.ok(flooded.headers.get('retry-after'));
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { DuplicateKeyError, MemoryStore, JsonFileStore } = require('../storage');
+const { tempDir, startServer, request, login, submitContact } = require('./helpers');
+
+test('MemoryStore inserts, finds and updates records', () => {
+    const store = new MemoryStore();
+    const record = store.insert({ email: 'a@example.com', name: 'A' });
+    assert.strictEqual(record.id, 1);
+    assert.strictEqual(store.findByKey(' A@Example.com ').id, 1);
+
+    const updated = store.update(1, { ...record, name: 'B' });
+    assert.strictEqual(updated.name, 'B');
+    assert.strictEqual(store.count(), 1);
+    assert.strictEqual(store.update(99, {}), null);
+});
+
+test('MemoryStore rejects a second record with the same unique value', () => {
+    const store = new MemoryStore();
+    store.insert({ email: 'a@example.com' });
+    assert.throws(() => store.insert({ email: 'A@example.com' }), DuplicateKeyError);
+    assert.throws(() => store.insertMany([{ email: 'b@example.com' }, { email: 'b@example.com' }]), DuplicateKeyError);
+    assert.strictEqual(store.count(), 1);
+});
+
+test('JsonFileStore keeps records across instances', () => {
+    const dir = tempDir();
+    try {
+        const file = path.join(dir, 'submissions.json');
+        new JsonFileStore(file).insert({ email: 'a@example.com' });
+        assert.ok(fs.existsSync(file));
+
+        const reopened = new JsonFileStore(file);
+        assert.strictEqual(reopened.count(), 1);
+        assert.strictEqual(reopened.insert({ email: 'b@example.com' }).id, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('submissions are stored and listed for admins', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const submitted = await submitContact(server);
+    assert.strictEqual(submitted.status, 200, submitted.text);
+    assert.strictEqual(submitted.body.recordId, 1);
+
+    const token = await login(server);
+    const list = await request(server, 'GET', '/api/data', { token });
+    assert.strictEqual(list.status, 200);
+    assert.strictEqual(list.body.total, 1);
+    assert.strictEqual(list.body.data[0].email, 'john@example.com');
+
+    const one = await request(server, 'GET', '/api/data/1', { token });
+    assert.strictEqual(one.body.data.fullName, 'John Smith');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStore } = require('../storage');
+const { startServer, request, login, submitContact } = require('./helpers');
+
+test('trashed records free their unique value until restored', () => {
+    const store = new MemoryStore();
+    store.insert({ email: 'a@example.com' });
+    assert.ok(store.trash(1).deletedAt);
+    assert.strictEqual(store.count(), 0);
+    assert.strictEqual(store.trashed().length, 1);
+
+    store.insert({ email: 'a@example.com' });
+    assert.throws(() => store.restore(1), /email/);
+
+    assert.strictEqual(store.purge({ olderThan: '2000-01-01T00:00:00Z' }).length, 0);
+    assert.strictEqual(store.purge().length, 1);
+    assert.strictEqual(store.trashed().length, 0);
+});
+
+test('deletes go to the trash and can be restored or purged', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await login(server);
+    await submitContact(server);
+    await submitContact(server, { email: 'jane@example.com', fullName: 'Jane Doe' });
+
+    assert.strictEqual((await request(server, 'DELETE', '/api/data/1', { token })).status, 200);
+    assert.strictEqual((await request(server, 'GET', '/api/data/1', { token })).status, 404);
+
+    const trash = await request(server, 'GET', '/api/trash', { token });
+    assert.deepStrictEqual(trash.body.data.map(record => record.id), [1]);
+
+    const restored = await request(server, 'POST', '/api/trash/1/restore', { token });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual((await request(server, 'GET', '/api/data/1', { token })).status, 200);
+
+    await request(server, 'DELETE', '/api/data', { token });
+    assert.strictEqual((await request(server, 'GET', '/api/trash', { token })).body.total, 2);
+    assert.strictEqual((await request(server, 'DELETE', '/api/trash/2', { token })).status, 200);
+    assert.strictEqual((await request(server, 'DELETE', '/api/trash', { token })).status, 200);
+    assert.strictEqual((await request(server, 'GET', '/api/trash', { token })).body.total, 0);
+    assert.strictEqual((await request(server, 'POST', '/api/trash/1/restore', { token })).status, 404);
+});
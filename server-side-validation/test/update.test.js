@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONTACT, startServer, request, login, submitContact } = require('./helpers');
+
+test('PUT and PATCH re-validate records and bump their revision', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const token = await login(server);
+    await submitContact(server);
+    await submitContact(server, { email: 'jane@example.com', fullName: 'Jane Doe' });
+
+    const patched = await request(server, 'PATCH', '/api/data/1', { token, body: { message: 'An updated message.' } });
+    assert.strictEqual(patched.status, 200, patched.text);
+    assert.strictEqual(patched.body.data.message, 'An updated message.');
+    assert.strictEqual(patched.body.data.fullName, 'John Smith');
+    assert.strictEqual(patched.body.data.revision, 2);
+
+    const put = await request(server, 'PUT', '/api/data/1', { token, body: { ...CONTACT, fullName: 'John Smithson' } });
+    assert.strictEqual(put.status, 200, put.text);
+    assert.strictEqual(put.body.data.revision, 3);
+
+    const invalid = await request(server, 'PATCH', '/api/data/1', { token, body: { age: 5 } });
+    assert.strictEqual(invalid.status, 400);
+    assert.ok(invalid.body.errors.age);
+
+    const taken = await request(server, 'PATCH', '/api/data/1', { token, body: { email: 'jane@example.com' } });
+    assert.strictEqual(taken.status, 400);
+    assert.ok(taken.body.errors.email);
+
+    const missing = await request(server, 'PUT', '/api/data/99', { token, body: CONTACT });
+    assert.strictEqual(missing.status, 404);
+});
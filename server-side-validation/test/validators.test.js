@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createValidator, disposableEmailCheck, uniqueCheck } = require('../validators');
+const { MemoryStore } = require('../storage');
+const { tempDir, startServer, request, submitContact } = require('./helpers');
+
+const SCHEMA = {
+    fields: {
+        email: { type: 'string', required: true, checks: ['disposable', 'unique'] },
+        country: { type: 'string', required: true },
+        website: {
+            type: 'string',
+            required: false,
+            when: [{ if: { field: 'country', equals: 'Other' }, then: { required: true }, message: 'requiredForOther' }]
+        }
+    }
+};
+const CATALOG = {
+    'default.required': '{label} is required',
+    'default.disposable': 'disposable',
+    'default.taken': 'taken',
+    'fields.website.requiredForOther': 'needed for Other'
+};
+
+test('checks run after the rules and land in the same errors object', async (t) => {
+    const dir = tempDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const blocklist = path.join(dir, 'domains.txt');
+    fs.writeFileSync(blocklist, '# comment\nmailinator.com\n');
+
+    const validator = createValidator();
+    assert.throws(() => validator.verify(SCHEMA), /unknown check "disposable"/);
+    validator.register('disposable', disposableEmailCheck({ file: blocklist }));
+    validator.register('unique', uniqueCheck());
+    validator.verify(SCHEMA);
+
+    const store = new MemoryStore();
+    const existing = store.insert({ email: 'Taken@Example.com' });
+
+    const validate = data => validator.validate(SCHEMA, data, CATALOG, { store });
+    assert.strictEqual(await validate({ email: 'new@example.com', country: 'UK' }), null);
+    assert.deepStrictEqual(await validate({ email: 'a@x.mailinator.com', country: 'Other' }), {
+        website: 'needed for Other',
+        email: 'disposable'
+    });
+    assert.deepStrictEqual(await validate({ email: ' taken@example.com', country: 'UK' }), { email: 'taken' });
+    assert.strictEqual(
+        await validator.validate(SCHEMA, { email: 'taken@example.com', country: 'UK' }, CATALOG, { store, excludeId: existing.id }),
+        null
+    );
+});
+
+test('submissions get async and cross-field errors together', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const contact = await submitContact(server, { email: 'someone@mailinator.com', country: 'Other', website: '' });
+    assert.strictEqual(contact.status, 400);
+    assert.match(contact.body.errors.email, /disposable/);
+    assert.strictEqual(contact.body.errors.website, 'Please enter a website when your country is Other');
+
+    assert.strictEqual((await submitContact(server)).status, 200);
+    const duplicate = await submitContact(server, { email: 'JOHN@example.com' });
+    assert.strictEqual(duplicate.status, 400);
+    assert.match(duplicate.body.errors.email, /already/);
+
+    const minor = await request(server, 'POST', '/api/forms/event/submit', {
+        body: { fullName: 'Ann Lee', email: 'ann@example.com', age: 15, ticket: 'student', session: 'morning', terms: true }
+    });
+    assert.strictEqual(minor.status, 400);
+    assert.deepStrictEqual(Object.keys(minor.body.errors), ['guardianConsent']);
+});
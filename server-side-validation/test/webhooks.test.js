@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { SIGNATURE_HEADER, signPayload, verifySignature, validateSubscription } = require('../webhooks');
+const { startServer, request, login, submitContact } = require('./helpers');
+
+const SECRET = 'a-test-secret-of-some-length';
+
+test('signatures verify only for the same body and a recent timestamp', () => {
+    const now = Date.now();
+    const header = signPayload(SECRET, Math.floor(now / 1000), '{"a":1}');
+    assert.strictEqual(verifySignature(SECRET, header, '{"a":1}', now), true);
+    assert.strictEqual(verifySignature(SECRET, header, '{"a":2}', now), false);
+    assert.strictEqual(verifySignature('another-secret-value', header, '{"a":1}', now), false);
+    assert.strictEqual(verifySignature(SECRET, header, '{"a":1}', now + 10 * 60 * 1000), false);
+});
+
+test('validateSubscription checks the URL, events and secret', () => {
+    assert.strictEqual(validateSubscription({ url: 'https://example.com/hook', events: ['submission.created'] }, false), null);
+    const errors = validateSubscription({ url: 'ftp://example.com', events: ['nope'], secret: 'short' }, false);
+    assert.deepStrictEqual(Object.keys(errors).sort(), ['events', 'secret', 'url']);
+    assert.strictEqual(validateSubscription({ active: false }, true), null);
+});
+
+test('submissions are delivered, signed and retried until the receiver accepts them', async (t) => {
+    // Receiver failing the first attempt
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = received.length === 1 ? 500 : 204;
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const server = await startServer({ WEBHOOK_RETRY_BASE_MS: '50' });
+    t.after(async () => {
+        await server.stop();
+        receiver.close();
+    });
+    const token = await login(server);
+
+    const created = await request(server, 'POST', '/api/webhooks', {
+        token,
+        body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['submission.created'], secret: SECRET }
+    });
+    assert.strictEqual(created.status, 201, created.text);
+    const listed = await request(server, 'GET', '/api/webhooks', { token });
+    assert.strictEqual(listed.body.data[0].secret, undefined);
+
+    await submitContact(server);
+    for (let i = 0; i < 100 && received.length < 2; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(received.length, 2);
+    const { headers, body } = received[1];
+    assert.strictEqual(headers['x-webhook-event'], 'submission.created');
+    assert.strictEqual(verifySignature(SECRET, headers[SIGNATURE_HEADER.toLowerCase()], body), true);
+    assert.strictEqual(JSON.parse(body).data.email, 'john@example.com');
+
+    // The server records the attempt after the receiver has answered
+    let deliveries;
+    for (let i = 0; i < 50; i++) {
+        deliveries = await request(server, 'GET', '/api/webhooks/deliveries', { token });
+        if (deliveries.body.data[0].status !== 'pending') break;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(deliveries.body.data[0].status, 'succeeded');
+    assert.strictEqual(deliveries.body.data[0].attempts.length, 2);
+
+    const replay = await request(server, 'POST', `/api/webhooks/deliveries/${deliveries.body.data[0].id}/replay`, { token });
+    assert.strictEqual(replay.body.data.replayOf, deliveries.body.data[0].id);
+
+    const invalid = await request(server, 'POST', '/api/webhooks', { token, body: { url: 'not a url' } });
+    assert.strictEqual(invalid.status, 400);
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const SchemaValidator = require('./public/validator');
+const { uniqueKey } = require('./storage');
+
+/**
+ * Server-side validation
+ * - Runs the shared schema rules first (public/validator.js), including
+ *   cross-field `when` conditions
+ * - Then the async checks a field lists in `checks` (e.g.
+ *   checks: ['disposable', 'unique']); they need what only the server has
+ *   (files, the store), so the browser skips them
+ * - Checks run in parallel and only on fields that passed their rules;
+ *   their failures land in the same { field: message } object
+ */
+
+const DEFAULT_BLOCKLIST = path.join(__dirname, 'blocklists', 'disposable-domains.txt');
+
+/**
+ * Set up a validator
+ *
+ * Returns { register, verify, validate }
+ */
+function createValidator() {
+    const checks = new Map();
+
+    /**
+     * Add a named check
+     * - check(value, context) resolves to null when the value is fine, or
+     *   to a message key, looked up like rule messages (fields.<name>.<key>,
+     *   then default.<key>)
+     * - context: what the caller passed to validate(), plus field, rule
+     *   and data (the whole submission)
+     */
+    function register(name, check) {
+        checks.set(name, check);
+    }
+
+    /**
+     * Throw if a schema names a check that is not registered, so a typo
+     * stops the server at startup
+     */
+    function verify(schema) {
+        Object.keys(schema.fields).forEach(name => {
+            (schema.fields[name].checks || []).forEach(check => {
+                if (!checks.has(check)) {
+                    throw new Error(`Field "${name}": unknown check "${check}"`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Validate a submission
+     * - catalog: flat message catalog for the user's locale
+     * - context: passed on to every check (e.g. { store, excludeId })
+     * - Resolves to { field: message }, or null when everything passes
+     */
+    async function validate(schema, data, catalog, context = {}) {
+        const errors = SchemaValidator.validate(schema, data, catalog) || {};
+
+        const pending = [];
+        Object.keys(schema.fields).forEach(name => {
+            const rule = schema.fields[name];
+            const value = data[name];
+            if (errors[name] || !rule.checks || value === undefined || value === null || value === '') {
+                return;
+            }
+            rule.checks.forEach(check => {
+                pending.push(Promise.resolve(checks.get(check)(value, { ...context, field: name, rule, data }))
+                    .then(key => ({ name, rule, key })));
+            });
+        });
+
+        // In `checks` order, so a field reports its first failing check
+        (await Promise.all(pending)).forEach(({ name, rule, key }) => {
+            if (key && !errors[name]) {
+                errors[name] = SchemaValidator.message(name, rule, key, catalog);
+            }
+        });
+
+        return Object.keys(errors).length === 0 ? null : errors;
+    }
+
+    return { register, verify, validate };
+}
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * Check: the email's domain (or a parent domain) is not a disposable
+ * mail provider
+ * - options.file: one domain per line, # starts a comment
+ *   (env: DISPOSABLE_DOMAINS_FILE, default blocklists/disposable-domains.txt)
+ * - The file is read again when it changes, so the list can be updated
+ *   without a restart; a missing file blocks nothing
+ */
+function disposableEmailCheck(options = {}) {
+    const file = options.file || process.env.DISPOSABLE_DOMAINS_FILE || DEFAULT_BLOCKLIST;
+    const log = options.log;
+    let cache = { mtimeMs: null, domains: new Set() };
+    let warned = false;
+
+    async function domains() {
+        let stat;
+        try {
+            stat = await fs.promises.stat(file);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            if (log && !warned) log.warn('Disposable email blocklist not found', { file });
+            warned = true;
+            return new Set();
+        }
+        if (stat.mtimeMs !== cache.mtimeMs) {
+            const text = await fs.promises.readFile(file, 'utf8');
+            const list = text.split(/\r?\n/)
+                .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+                .filter(Boolean);
+            cache = { mtimeMs: stat.mtimeMs, domains: new Set(list) };
+        }
+        return cache.domains;
+    }
+
+    return async value => {
+        const blocked = await domains();
+        const labels = String(value).trim().toLowerCase().split('@').pop().split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            if (blocked.has(labels.slice(i).join('.'))) return 'disposable';
+        }
+        return null;
+    };
+}
+
+/**
+ * Check: no other stored record has the same value (trimmed,
+ * case-insensitive)
+ * - context.store: the store to look in; its unique index is used when it
+ *   covers the field
+ * - context.excludeId: the record being updated
+ * - context.ignore(record): true for records that no longer hold their
+ *   value (e.g. expired, unconfirmed registrations)
+ */
+function uniqueCheck() {
+    return async (value, { store, excludeId, ignore, field }) => {
+        const key = uniqueKey(value);
+        const existing = store.uniqueField === field
+            ? store.findByKey(value)
+            : store.all().find(record => uniqueKey(record[field]) === key);
+        if (existing && existing.id !== excludeId && !(ignore && ignore(existing))) {
+            return 'taken';
+        }
+        return null;
+    };
+}
+
+module.exports = {
+    createValidator,
+    disposableEmailCheck,
+    uniqueCheck
+};
@@ -0,0 +1,470 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { writeFileAtomic } = require('./storage');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+const WEBHOOK_EVENTS = ['submission.created', 'submission.confirmed', 'submission.updated', 'submission.deleted'];
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const SIGNATURE_TOLERANCE = 5 * 60; // seconds
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE = 5000; // ms: 5s, 10s, 20s, 40s, 80s
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_LOG_LIMIT = 1000;
+
+// Validation messages when the caller passes no translate function
+const english = (key, params) => translate(DEFAULT_LOCALE, key, params);
+
+// ============================================
+// SIGNATURES
+// ============================================
+
+/**
+ * Sign a payload
+ * - HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret
+ * - Sent as "t=<unix seconds>,v1=<hex>" in X-Webhook-Signature
+ */
+function signPayload(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check an X-Webhook-Signature header on the receiving side
+ * - Rejects signatures older than SIGNATURE_TOLERANCE (replay protection)
+ * - Constant-time comparison
+ */
+function verifySignature(secret, header, body, now = Date.now()) {
+    const parts = {};
+    String(header || '').split(',').forEach(part => {
+        const [key, value] = part.split('=');
+        parts[key] = value;
+    });
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1 || Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body).split('v1=')[1]);
+    const actual = Buffer.from(parts.v1);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ============================================
+// DISPATCHER
+// ============================================
+
+/**
+ * Webhook subscriptions and their delivery log
+ * - Persisted to a JSON file when filePath is given, else in memory only
+ * - Each event becomes one delivery per matching subscription; failed
+ *   attempts are retried with exponential backoff until maxAttempts
+ * - Pending deliveries are picked up again after a restart
+ *
+ * Delivery shape:
+ * { id, subscriptionId, event, payload, status, attempts, nextAttemptAt,
+ *   replayOf, createdAt, completedAt }
+ */
+class WebhookDispatcher {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.retryBase = options.retryBase !== undefined ? options.retryBase : DEFAULT_RETRY_BASE;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+        this.logLimit = options.logLimit || DEFAULT_LOG_LIMIT;
+        this.subscriptions = [];
+        this.deliveries = [];
+        this.nextSubscriptionId = 1;
+        this.nextDeliveryId = 1;
+        this.timers = new Map();
+
+        if (filePath && fs.existsSync(filePath)) {
+            const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            this.subscriptions = saved.subscriptions || [];
+            this.deliveries = saved.deliveries || [];
+            this.nextSubscriptionId = saved.nextSubscriptionId || 1;
+            this.nextDeliveryId = saved.nextDeliveryId || 1;
+        }
+        this.deliveries
+            .filter(delivery => delivery.status === 'pending')
+            .forEach(delivery => this.schedule(delivery));
+    }
+
+    persist() {
+        if (this.filePath) {
+            writeFileAtomic(this.filePath, JSON.stringify({
+                nextSubscriptionId: this.nextSubscriptionId,
+                nextDeliveryId: this.nextDeliveryId,
+                subscriptions: this.subscriptions,
+                deliveries: this.deliveries
+            }, null, 2));
+        }
+    }
+
+    // ---------- Subscriptions ----------
+
+    allSubscriptions() {
+        return this.subscriptions.slice();
+    }
+
+    findSubscription(id) {
+        return this.subscriptions.find(s => s.id === id) || null;
+    }
+
+    /**
+     * Add a subscription
+     * - A random secret is generated when none is given
+     */
+    createSubscription(fields) {
+        const subscription = {
+            id: this.nextSubscriptionId++,
+            url: fields.url,
+            events: fields.events || WEBHOOK_EVENTS.slice(),
+            description: fields.description || '',
+            secret: fields.secret || crypto.randomBytes(24).toString('hex'),
+            active: fields.active !== false,
+            createdAt: new Date().toISOString(),
+            updatedAt: null
+        };
+        this.subscriptions.push(subscription);
+        this.persist();
+        return subscription;
+    }
+
+    /**
+     * Change url, events, description, secret or active
+     * - Returns the updated subscription, or null if not found
+     */
+    updateSubscription(id, changes) {
+        const subscription = this.findSubscription(id);
+        if (!subscription) return null;
+        ['url', 'events', 'description', 'secret', 'active'].forEach(key => {
+            if (changes[key] !== undefined) subscription[key] = changes[key];
+        });
+        subscription.updatedAt = new Date().toISOString();
+        this.persist();
+        return subscription;
+    }
+
+    /**
+     * Remove a subscription
+     * - Its pending deliveries fail on their next attempt
+     */
+    deleteSubscription(id) {
+        const index = this.subscriptions.findIndex(s => s.id === id);
+        if (index === -1) return null;
+        const [removed] = this.subscriptions.splice(index, 1);
+        this.persist();
+        return removed;
+    }
+
+    // ---------- Deliveries ----------
+
+    allDeliveries() {
+        return this.deliveries.slice();
+    }
+
+    findDelivery(id) {
+        return this.deliveries.find(d => d.id === id) || null;
+    }
+
+    /**
+     * Queue an event for every active subscription listening to it
+     * - data: the record the event is about
+     * - form: id of the form the record belongs to; record ids are only
+     *   unique within a form
+     * - Returns the new deliveries
+     */
+    emit(event, data, form) {
+        const payload = {
+            id: crypto.randomBytes(16).toString('hex'),
+            event,
+            form: form || null,
+            createdAt: new Date().toISOString(),
+            data
+        };
+        const deliveries = this.subscriptions
+            .filter(s => s.active && s.events.includes(event))
+            .map(s => this.enqueue(s.id, event, payload));
+        if (deliveries.length > 0) this.persist();
+        return deliveries;
+    }
+
+    /**
+     * Send a ping to one subscription, e.g. to check a receiver
+     */
+    ping(subscription) {
+        const delivery = this.enqueue(subscription.id, 'ping', {
+            id: crypto.randomBytes(16).toString('hex'),
+            event: 'ping',
+            form: null,
+            createdAt: new Date().toISOString(),
+            data: { subscriptionId: subscription.id }
+        });
+        this.persist();
+        return delivery;
+    }
+
+    /**
+     * Send a logged delivery again as a new delivery
+     * - The payload is unchanged, so receivers can de-duplicate on payload.id
+     */
+    replay(id) {
+        const original = this.findDelivery(id);
+        if (!original) return null;
+        const delivery = this.enqueue(original.subscriptionId, original.event, original.payload, original.id);
+        this.persist();
+        return delivery;
+    }
+
+    enqueue(subscriptionId, event, payload, replayOf = null) {
+        const delivery = {
+            id: this.nextDeliveryId++,
+            subscriptionId,
+            event,
+            payload,
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: new Date().toISOString(),
+            replayOf,
+            createdAt: new Date().toISOString(),
+            completedAt: null
+        };
+        this.deliveries.push(delivery);
+        this.trimLog();
+        this.schedule(delivery);
+        return delivery;
+    }
+
+    /**
+     * Keep the log at logLimit entries, dropping the oldest finished ones
+     */
+    trimLog() {
+        let excess = this.deliveries.length - this.logLimit;
+        if (excess <= 0) return;
+        this.deliveries = this.deliveries.filter(delivery => {
+            if (excess > 0 && delivery.status !== 'pending') {
+                excess--;
+                return false;
+            }
+            return true;
+        });
+    }
+
+    schedule(delivery) {
+        const wait = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+        const timer = setTimeout(() => {
+            this.timers.delete(delivery.id);
+            this.attempt(delivery);
+        }, wait);
+        timer.unref();
+        this.timers.set(delivery.id, timer);
+    }
+
+    /**
+     * Make one attempt and decide what happens next
+     * - 2xx: succeeded; otherwise retry after retryBase * 2^(attempt - 1)
+     */
+    async attempt(delivery) {
+        const subscription = this.findSubscription(delivery.subscriptionId);
+        let result;
+        if (!subscription) {
+            result = { at: new Date().toISOString(), statusCode: null, error: 'Subscription deleted', durationMs: 0 };
+        } else {
+            result = await this.send(subscription, delivery);
+        }
+        delivery.attempts.push(result);
+
+        const ok = result.statusCode >= 200 && result.statusCode < 300;
+        if (ok) {
+            delivery.status = 'succeeded';
+        } else if (!subscription || delivery.attempts.length >= this.maxAttempts) {
+            delivery.status = 'failed';
+        }
+
+        if (delivery.status === 'pending') {
+            const delay = this.retryBase * Math.pow(2, delivery.attempts.length - 1);
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+            this.schedule(delivery);
+        } else {
+            delivery.nextAttemptAt = null;
+            delivery.completedAt = new Date().toISOString();
+        }
+        this.persist();
+    }
+
+    /**
+     * POST the payload to the subscription URL
+     * - Resolves { at, statusCode, error, durationMs }; never rejects
+     */
+    send(subscription, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+        const at = new Date(started).toISOString();
+
+        return new Promise(resolve => {
+            const done = (statusCode, error) => resolve({
+                at,
+                statusCode,
+                error,
+                durationMs: Date.now() - started
+            });
+
+            let request;
+            try {
+                const url = new URL(subscription.url);
+                const client = url.protocol === 'https:' ? https : http;
+                request = client.request(url, {
+                    method: 'POST',
+                    timeout: this.timeout,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Content-Length': Buffer.byteLength(body),
+                        'User-Agent': 'server-side-validation-webhooks',
+                        'X-Webhook-Event': delivery.event,
+                        'X-Webhook-Delivery': String(delivery.id),
+                        [SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, body)
+                    }
+                });
+            } catch (err) {
+                return done(null, err.message);
+            }
+
+            request.on('response', res => {
+                res.resume();
+                res.on('end', () => done(res.statusCode, res.statusCode < 300 ? null : `HTTP ${res.statusCode}`));
+            });
+            request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.timeout} ms`)));
+            request.on('error', err => done(null, err.message));
+            request.end(body);
+        });
+    }
+
+    /**
+     * Cancel scheduled attempts (pending deliveries stay pending on disk)
+     */
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+/**
+ * Subscription as shown by the API
+ * - The secret is only returned when the subscription is created
+ */
+function publicSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+}
+
+/**
+ * Check subscription fields from a request body
+ * - partial: only validate the fields that are present (PATCH)
+ * - t: translate function for the messages (default English)
+ * - Returns an { field: message } object, or null when valid
+ */
+function validateSubscription(data, partial, t = english) {
+    const errors = {};
+
+    if (data.url !== undefined || !partial) {
+        let url = null;
+        try {
+            url = new URL(String(data.url));
+        } catch (err) {
+            // reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            errors.url = t('webhooks.url');
+        }
+    }
+
+    if (data.events !== undefined) {
+        if (!Array.isArray(data.events) || data.events.length === 0 ||
+            !data.events.every(event => WEBHOOK_EVENTS.includes(event))) {
+            errors.events = t('webhooks.events', { events: WEBHOOK_EVENTS.join(', ') });
+        }
+    }
+
+    if (data.description !== undefined && typeof data.description !== 'string') {
+        errors.description = t('webhooks.description');
+    }
+
+    if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16)) {
+        errors.secret = t('webhooks.secret');
+    }
+
+    if (data.active !== undefined && typeof data.active !== 'boolean') {
+        errors.active = t('webhooks.active');
+    }
+
+    return Object.keys(errors).length === 0 ? null : errors;
+}
+
+/**
+ * Create the dispatcher
+ * - options.file: JSON file, or null for memory only   (env: WEBHOOKS_FILE)
+ * - options.maxAttempts                                 (env: WEBHOOK_MAX_ATTEMPTS)
+ * - options.retryBase: first retry delay in ms           (env: WEBHOOK_RETRY_BASE_MS)
+ * - options.timeout: per-attempt timeout in ms           (env: WEBHOOK_TIMEOUT_MS)
+ */
+function createWebhooks(options = {}) {
+    const file = options.file !== undefined
+        ? options.file
+        : process.env.WEBHOOKS_FILE || path.join(__dirname, 'data', 'webhooks.json');
+    return new WebhookDispatcher(file, {
+        maxAttempts: options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined,
+        retryBase: options.retryBase !== undefined
+            ? options.retryBase
+            : (process.env.WEBHOOK_RETRY_BASE_MS ? parseInt(process.env.WEBHOOK_RETRY_BASE_MS) : undefined),
+        timeout: options.timeout || parseInt(process.env.WEBHOOK_TIMEOUT_MS) || undefined
+    });
+}
+
+// ============================================
+// CLI: node webhooks.js receive [port] [secret]
+// ============================================
+
+// A local receiver for trying webhooks out: prints each delivery and whether
+// its signature checks out. Set FAIL_RATE (0-1) to answer some with a 500.
+if (require.main === module) {
+    const [command, port = '9000', secret] = process.argv.slice(2);
+    if (command !== 'receive') {
+        console.error('Usage: node webhooks.js receive [port] [secret]');
+        process.exit(1);
+    }
+    const failRate = parseFloat(process.env.FAIL_RATE || '0');
+    http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+            const verified = secret ? (verifySignature(secret, signature, body) ? 'valid' : 'INVALID') : 'not checked';
+            const fail = Math.random() < failRate;
+            console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} ` +
+                `delivery #${req.headers['x-webhook-delivery']} signature ${verified}` +
+                `${fail ? ' -> answering 500' : ''}`);
+            console.log(body);
+            res.writeHead(fail ? 500 : 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ received: !fail }));
+        });
+    }).listen(parseInt(port), () => {
+        console.log(`Webhook receiver listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    SIGNATURE_HEADER,
+    signPayload,
+    verifySignature,
+    WebhookDispatcher,
+    publicSubscription,
+    validateSubscription,
+    createWebhooks
+};